@@ -1,5 +1,15 @@
-type RoleModifier<Role extends string> = {
-  extends: (...childRoles: Array<Roles<Role>>) => void
+export type RoleCondition<Context> = (context: Context) => boolean
+
+type RoleModifier<Role extends string, Context> = {
+  extends: (...childRoles: Array<Roles<Role>>) => ExtendsModifier<Context>
+  denies: (...deniedRoles: Array<Roles<Role>>) => void
+  unextends: (...childRoles: Array<Roles<Role>>) => void
+}
+type ExtendsModifier<Context> = {
+  when: (condition: RoleCondition<Context>) => void
+}
+type ActionModifier = {
+  extends: (...childActions: Array<Roles<string>>) => void
 }
 export type RolesObject<Role extends string> = Partial<
   Record<Role, boolean | undefined>
@@ -11,6 +21,353 @@ export type Roles<Role extends string> =
   | Set<Role>
   | RolesObject<Role>
 
+/**
+ * A requirement for isAuthorized.  Any form of Roles requires all of the given roles;
+ * anyOf, allOf and not expressions may be nested arbitrarily.
+ */
+export type RoleRequirement<Role extends string> =
+  | Roles<Role>
+  | ReadonlyArray<RoleRequirement<Role>>
+  | { anyOf: ReadonlyArray<RoleRequirement<Role>> }
+  | { allOf: ReadonlyArray<RoleRequirement<Role>> }
+  | { not: RoleRequirement<Role> }
+
+/**
+ * A recurring window of time during which a role grant is active.
+ */
+export type RecurringWindow = {
+  /** days of the week the window starts on, 0 (Sunday) through 6.  Defaults to every day */
+  daysOfWeek?: ReadonlyArray<number> | null | undefined
+  /** the time of day the window starts, as 'HH:MM' */
+  start: string
+  /** the time of day the window ends (exclusive), as 'HH:MM'.  May be before start for overnight windows */
+  end: string
+  /** the offset from UTC in minutes of the times and days of the window.  Defaults to 0 */
+  utcOffset?: number | null | undefined
+}
+
+/**
+ * An actual role that is only active during a given time period.
+ */
+export type RoleGrant<Role extends string> = {
+  role: Role
+  notBefore?: Date | number | null | undefined
+  expiresAt?: Date | number | null | undefined
+  windows?: ReadonlyArray<RecurringWindow> | null | undefined
+  /** the scope the role is assigned in, e.g. 'org/1'.  Defaults to every scope */
+  scope?: string | null | undefined
+}
+
+/**
+ * Actual roles, which may include RoleGrants in an Array or Set.
+ */
+export type ActualRoles<Role extends string> =
+  | Roles<Role>
+  | ReadonlyArray<Role | RoleGrant<Role>>
+  | Set<Role | RoleGrant<Role>>
+
+/**
+ * Why one role implies another:
+ * - extends: rc.role(role).extends(implied)
+ * - conditionalExtends: rc.role(role).extends(implied).when(condition)
+ * - resourceImpliesAction: 'site' implies 'site:read'
+ * - parentResource: 'org:read' implies 'org:site:read'
+ * - writeExtendsRead: 'site:write' implies 'site:read' (writeExtendsRead option)
+ * - actionHierarchy: 'site:manage' implies 'site:write' (rc.action('manage').extends('write'))
+ * - resourceInstance: 'site:read' implies 'site/42:read'
+ * - wildcard: '*:read' implies 'site:read'
+ * - alwaysAllow: an alwaysAllow role implies every role
+ * - parentAction: 'manager:read' implies 'employee:read' when manager extends employee
+ */
+export type AuthorizationStepReason =
+  | 'extends'
+  | 'conditionalExtends'
+  | 'resourceImpliesAction'
+  | 'parentResource'
+  | 'writeExtendsRead'
+  | 'actionHierarchy'
+  | 'resourceInstance'
+  | 'wildcard'
+  | 'alwaysAllow'
+  | 'parentAction'
+
+export type AuthorizationStep<Role extends string> = {
+  role: Role
+  implies: Role
+  reason: AuthorizationStepReason
+}
+
+export type RequirementExplanation<Role extends string> = {
+  required: Role
+  authorized: boolean
+  /**
+   * The steps from an actual role to the required role, which is empty if the required
+   * role is held directly, or null if no actual role implies the required role
+   */
+  path: Array<AuthorizationStep<Role>> | null
+  /** the denied role that overrides any grant of the required role */
+  deniedBy: Role | null
+}
+
+export type AuthorizationExplanation<Role extends string> = {
+  authorized: boolean
+  requirements: Array<RequirementExplanation<Role>>
+}
+
+/**
+ * Metadata about a role, for use in admin UIs and documentation.
+ */
+export type RoleDefinition = {
+  label?: string | null | undefined
+  description?: string | null | undefined
+  tags?: ReadonlyArray<string> | null | undefined
+  /** whether the role grants sensitive permissions */
+  sensitive?: boolean | null | undefined
+  /** whether the role is deprecated, or a message explaining what to use instead */
+  deprecated?: boolean | string | null | undefined
+}
+
+/**
+ * Metadata about a resource and the actions that can be performed on it.
+ */
+export type ResourceDefinition = RoleDefinition & {
+  actions?: ReadonlyArray<string> | null | undefined
+}
+
+export type RoleInfo<Role extends string> = RoleDefinition & {
+  role: Role
+}
+
+export type ResourceInfo = ResourceDefinition & {
+  resource: string
+}
+
+export type ValidationFindingType =
+  | 'redundantExtends'
+  | 'extendsAlwaysAllow'
+  | 'deepChain'
+  | 'separatorMisuse'
+
+export type ValidationFinding<Role extends string> = {
+  type: ValidationFindingType
+  message: string
+  /** the roles involved, for example the chain of a deepChain finding */
+  roles: Array<Role>
+}
+
+export type DenialCandidate<Role extends string> = {
+  role: Role
+  /** whether the role is among those that imply the most of the actual roles */
+  closest: boolean
+}
+
+export type UnmetRequirement<Role extends string> = {
+  required: Role
+  /** the denied role that overrides any grant of the required role */
+  deniedBy: Role | null
+  /** the least-privileged roles that would satisfy the required role, if it isn't denied */
+  candidates: Array<DenialCandidate<Role>>
+}
+
+export type DenialReport<Role extends string> = {
+  authorized: boolean
+  unmet: Array<UnmetRequirement<Role>>
+}
+
+/**
+ * The version of the format produced by toJSON().
+ */
+export const JSON_SCHEMA_VERSION = 1
+
+/**
+ * A serialized RolesCalc, as produced by toJSON() and accepted by RolesCalc.fromJSON().
+ */
+export type RolesCalcJSON<Role extends string> = {
+  version: number
+  options: {
+    alwaysAllow: Array<Role>
+    resourceActions: boolean
+    writeExtendsRead: boolean
+    resourceActionSeparator: string
+    wildcards: boolean
+    resourceInstances: boolean
+    scopedRoles: boolean
+    strict: boolean
+    /** null if there is no limit */
+    inheritanceDepthLimit: number | null
+  }
+  /** the child roles each role extends */
+  hierarchy: Partial<Record<Role, Array<Role>>>
+  /** the child actions each action extends */
+  actionHierarchy: Record<string, Array<string>>
+  /** the roles denied to holders of each role */
+  denies: Partial<Record<Role, Array<Role>>>
+  aliases: Partial<Record<Role, { role: Role; deprecated: boolean | string }>>
+  roles: Partial<Record<Role, RoleDefinition>>
+  resources: Record<string, ResourceDefinition>
+}
+
+/**
+ * Options for diagrams of the hierarchy, like toDot() and toMermaid().
+ */
+export type DiagramOptions<Role extends string> = {
+  /** whether to include implied relationships, like site > site:read */
+  implicit?: boolean | null | undefined
+  /** whether to show each resource as a single node, instead of a node for each of its roles */
+  collapseResources?: boolean | null | undefined
+  /** only include these roles and their relatives */
+  focus?: Roles<Role> | null | undefined
+  /** which relatives of the focus roles to include, defaults to 'both' */
+  focusDirection?: 'ancestors' | 'descendants' | 'both' | null | undefined
+}
+
+export type DotOptions<Role extends string> = DiagramOptions<Role> & {
+  /** whether to group the roles of each resource into a cluster */
+  clusterByResource?: boolean | null | undefined
+}
+
+export type MermaidOptions<Role extends string> = DiagramOptions<Role> & {
+  /** the direction of the flowchart, defaults to 'TB' (top to bottom) */
+  direction?: 'TB' | 'BT' | 'LR' | 'RL' | null | undefined
+}
+
+/**
+ * A Casbin RBAC policy converted from a RolesCalc by toCasbinPolicy().
+ */
+export type CasbinPolicy = {
+  /** the policy, in Casbin's CSV format */
+  policy: string
+  /** descriptions of things that couldn't be converted */
+  unsupported: Array<string>
+}
+
+/**
+ * The flattened hierarchy in the data document created by toOpa().
+ */
+export type OpaHierarchy<Role extends string> = {
+  separator: string
+  resource_actions: boolean
+  resource_instances: boolean
+  /** matches the instance ids in a role, like '/42' in 'site/42:read' */
+  instance_pattern: string
+  always_allow: Array<Role>
+  /** the role each alias resolves to */
+  aliases: Partial<Record<Role, Role>>
+  /** the actions that imply each action */
+  action_parents: Record<string, Array<string>>
+  /** the roles that extend each role */
+  parent_roles: Partial<Record<Role, Array<Role>>>
+  /** the roles that satisfy each role, from getRoleAndParentRolesSet */
+  closure: Partial<Record<Role, Array<Role>>>
+  /** the roles that each role's deny rules apply to, and the roles they deny */
+  denies: Partial<Record<Role, { holders: Array<Role>; denied: Array<Role> }>>
+  /** the roles that satisfy each denied role, not counting alwaysAllow roles */
+  denied_holders: Partial<Record<Role, Array<Role>>>
+}
+
+/**
+ * An Open Policy Agent data document and Rego module converted from a RolesCalc by
+ * toOpa().
+ */
+export type OpaBundle = {
+  /** the data document, with an OpaHierarchy at the dataPath */
+  data: { [key: string]: unknown }
+  /** a Rego module that implements isAuthorized using the data document */
+  rego: string
+  /** descriptions of things that couldn't be converted */
+  unsupported: Array<string>
+}
+
+/**
+ * How a role grants a permission in a PermissionMatrix: directly, if the role is the
+ * permission or extends it, or inherited by any other means.
+ */
+export type PermissionGrant = 'direct' | 'inherited'
+
+/**
+ * Which roles grant which permissions, created by permissionMatrix().
+ */
+export type PermissionMatrix<Role extends string> = {
+  roles: Array<Role>
+  permissions: Array<Role>
+  /** grants[i][j] is how roles[i] grants permissions[j], or null if it doesn't */
+  grants: Array<Array<PermissionGrant | null>>
+}
+
+type RoleAlias<Role extends string> = {
+  role: Role
+  deprecated?: boolean | string | null | undefined
+}
+
+type RoleOrigin<Role extends string> = {
+  role: Role
+  reason: AuthorizationStepReason
+}
+
+const requirementOperators = ['anyOf', 'allOf', 'not']
+
+/**
+ * Determines if a requirement is an expression like { anyOf: [...] } rather than a
+ * RolesObject, and throws if it's a malformed expression.
+ */
+function isRequirementExpression(required: unknown): boolean {
+  if (
+    typeof required !== 'object' ||
+    required == null ||
+    Array.isArray(required) ||
+    required instanceof Set
+  )
+    return false
+  const keys = Object.keys(required)
+  // distinguish from a RolesObject with a role named anyOf, allOf or not
+  const operators = keys.filter((key) => {
+    const value = (required as any)[key]
+    return (
+      requirementOperators.includes(key) &&
+      typeof value !== 'boolean' &&
+      value !== undefined
+    )
+  })
+  if (!operators.length) return false
+  if (keys.length !== 1) {
+    throw new Error(
+      `requirement expression must have exactly one of anyOf, allOf or not, but has ${keys.join(
+        ', '
+      )}`
+    )
+  }
+  const [operator] = operators
+  const value = (required as any)[operator]
+  if (operator !== 'not' && !Array.isArray(value)) {
+    throw new Error(`${operator} must be an array of requirements`)
+  }
+  if (
+    operator === 'not' &&
+    (value === null || typeof value !== 'object') &&
+    typeof value !== 'string'
+  ) {
+    throw new Error('not must be a requirement')
+  }
+  return true
+}
+
+/**
+ * Yields every role in a requirement, including those in requirement expressions.
+ */
+function* requirementRoles<Role extends string>(
+  required: RoleRequirement<Role>
+): Iterable<Role> {
+  if (typeof required === 'string') yield required
+  else if (Array.isArray(required)) {
+    for (const element of required) yield* requirementRoles(element)
+  } else if (isRequirementExpression(required)) {
+    const expr: any = required
+    if (expr.anyOf) for (const e of expr.anyOf) yield* requirementRoles(e)
+    else if (expr.allOf) for (const e of expr.allOf) yield* requirementRoles(e)
+    else yield* requirementRoles(expr.not)
+  } else yield* rolesToIterable(required as Roles<Role>)
+}
+
 export function* rolesToIterable<Role extends string>(
   ...args: Array<Roles<Role>>
 ): Iterable<Role> {
@@ -70,18 +427,699 @@ export function rolesToObject<Role extends string>(
 }
 export const INHERITANCE_DEPTH_LIMIT = 20
 
-export default class RolesCalc<Role extends string> {
+/** how close to the inheritance depth limit a chain must be for validate() to report it */
+const DEPTH_LIMIT_WARNING_MARGIN = 5
+
+/**
+ * Thrown when a relationship would make roles extend each other in a cycle.
+ */
+export class InheritanceCycleError extends Error {
+  /** the roles in the cycle, each of which extends the next */
+  roles: Array<string>
+
+  constructor(roles: Array<string>) {
+    super(`roles would extend each other in a cycle: ${roles.join(' > ')}`)
+    this.name = 'InheritanceCycleError'
+    this.roles = roles
+  }
+}
+
+/**
+ * Thrown when flattening the roles that extend a role exceeds the inheritance depth limit.
+ */
+export class InheritanceDepthError extends Error {
+  role: string
+  limit: number
+
+  constructor(role: string, limit: number) {
+    super(
+      `could not flatten roles of ${role}: inheritance depth of ${limit} levels was exceeded`
+    )
+    this.name = 'InheritanceDepthError'
+    this.role = role
+    this.limit = limit
+  }
+}
+
+const RESOURCE_INSTANCE_SEPARATOR = '/'
+
+function escapeRegExp(str: string): string {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+const MINUTES_PER_DAY = 24 * 60
+
+function parseTimeOfDay(time: string): number {
+  const match = /^(\d{1,2}):([0-5]\d)$/.exec(time)
+  const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN
+  if (!(minutes <= MINUTES_PER_DAY)) {
+    throw new Error(`invalid time of day: ${String(time)}`)
+  }
+  return minutes
+}
+
+function isInWindow(window: RecurringWindow, time: number): boolean {
+  const { daysOfWeek, start, end, utcOffset } = window
+  const localMinutes = Math.floor(time / 60000) + (utcOffset || 0)
+  const day = Math.floor(localMinutes / MINUTES_PER_DAY)
+  const minuteOfDay = localMinutes - day * MINUTES_PER_DAY
+  // January 1, 1970 was a Thursday
+  const dayOfWeek = (((day + 4) % 7) + 7) % 7
+  const startsOn = (dayOfWeek: number) =>
+    !daysOfWeek || daysOfWeek.includes(dayOfWeek)
+
+  const startMinute = parseTimeOfDay(start)
+  const endMinute = parseTimeOfDay(end)
+  if (startMinute <= endMinute) {
+    return (
+      startsOn(dayOfWeek) &&
+      minuteOfDay >= startMinute &&
+      minuteOfDay < endMinute
+    )
+  }
+  // the window spans midnight
+  return (
+    (startsOn(dayOfWeek) && minuteOfDay >= startMinute) ||
+    (startsOn((dayOfWeek + 6) % 7) && minuteOfDay < endMinute)
+  )
+}
+
+function isGrantActive<Role extends string>(
+  grant: RoleGrant<Role>,
+  time: number
+): boolean {
+  const { notBefore, expiresAt, windows } = grant
+  if (notBefore != null && time < +notBefore) return false
+  if (expiresAt != null && time >= +expiresAt) return false
+  if (windows && !windows.some((window) => isInWindow(window, time)))
+    return false
+  return true
+}
+
+/**
+ * Determines if a grant is active whenever another grant is active.
+ */
+function grantCovers<Role extends string>(
+  grant: Role | RoleGrant<Role>,
+  other: Role | RoleGrant<Role>
+): boolean {
+  if (typeof grant === 'string') return true
+  if (typeof other === 'string') {
+    return grant.notBefore == null && grant.expiresAt == null && !grant.windows
+  }
+  if (
+    grant.notBefore != null &&
+    (other.notBefore == null || +other.notBefore < +grant.notBefore)
+  )
+    return false
+  if (
+    grant.expiresAt != null &&
+    (other.expiresAt == null || +other.expiresAt > +grant.expiresAt)
+  )
+    return false
+  return (
+    !grant.windows ||
+    JSON.stringify(grant.windows) === JSON.stringify(other.windows)
+  )
+}
+
+/**
+ * Calculates the Levenshtein distance between two strings.
+ */
+function editDistance(a: string, b: string): number {
+  let previous: Array<number> = []
+  for (let j = 0; j <= b.length; j++) previous.push(j)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current.push(
+        Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        )
+      )
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+function compareStrings(a: string, b: string): number {
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+/**
+ * Converts relationships from child to parent into an object from parent to child,
+ * with sorted keys and values so that it doesn't depend on the order they were added in.
+ */
+function relationshipsToJSON<T extends string>(
+  childrenToParents: Map<T, Set<T>>
+): Partial<Record<T, Array<T>>> {
+  const parentsToChildren: Map<T, Array<T>> = new Map()
+  for (const [child, parents] of childrenToParents) {
+    for (const parent of parents) {
+      const children = parentsToChildren.get(parent)
+      if (children) children.push(child)
+      else parentsToChildren.set(parent, [child])
+    }
+  }
+  const result: Partial<Record<T, Array<T>>> = {}
+  for (const [parent, children] of [...parentsToChildren].sort(([a], [b]) =>
+    compareStrings(a, b)
+  )) {
+    result[parent] = children.sort(compareStrings)
+  }
+  return result
+}
+
+/**
+ * Like JSON.stringify, but with object keys in sorted order.
+ */
+function stableStringify(value: unknown): string {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  if (value != null && typeof value === 'object') {
+    const object: { [key: string]: unknown } = value as any
+    return `{${Object.keys(object)
+      .filter((key) => object[key] !== undefined)
+      .sort(compareStrings)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(object[key])}`)
+      .join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+/**
+ * A fast, non-cryptographic 53-bit string hash (cyrb53), as hex.
+ */
+function hashString(str: string): string {
+  let h1 = 0xdeadbeef
+  let h2 = 0x41c6ce57
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i)
+    h1 = Math.imul(h1 ^ ch, 2654435761)
+    h2 = Math.imul(h2 ^ ch, 1597334677)
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507)
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507)
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0))
+    .toString(16)
+    .padStart(14, '0')
+}
+
+function invalidJSON(path: string, expected: string): Error {
+  return new Error(`invalid RolesCalc JSON: ${path} must be ${expected}`)
+}
+
+function jsonPath(path: string, key: string): string {
+  return `${path}[${JSON.stringify(key)}]`
+}
+
+function checkJSONObject(
+  value: unknown,
+  path: string
+): { [key: string]: unknown } {
+  if (value == null || typeof value !== 'object' || Array.isArray(value)) {
+    throw invalidJSON(path, 'an object')
+  }
+  return value as any
+}
+
+function checkJSONType(value: unknown, path: string, type: string) {
+  if (value != null && typeof value !== type) {
+    throw invalidJSON(path, `a ${type}`)
+  }
+}
+
+function checkJSONStrings(value: unknown, path: string): Array<string> {
+  if (
+    !Array.isArray(value) ||
+    value.some((element) => typeof element !== 'string')
+  ) {
+    throw invalidJSON(path, 'an array of strings')
+  }
+  return value
+}
+
+function checkJSONObjectOf<T>(
+  value: unknown,
+  path: string,
+  check: (value: unknown, path: string) => T
+): { [key: string]: T } {
+  const result: { [key: string]: T } = {}
+  if (value == null) return result
+  const object = checkJSONObject(value, path)
+  for (const key of Object.keys(object)) {
+    result[key] = check(object[key], jsonPath(path, key))
+  }
+  return result
+}
+
+function checkJSONDefinition(value: unknown, path: string): ResourceDefinition {
+  const definition = checkJSONObject(value, path)
+  checkJSONType(definition.label, `${path}.label`, 'string')
+  checkJSONType(definition.description, `${path}.description`, 'string')
+  checkJSONType(definition.sensitive, `${path}.sensitive`, 'boolean')
+  if (definition.tags != null) {
+    checkJSONStrings(definition.tags, `${path}.tags`)
+  }
+  if (definition.actions != null) {
+    checkJSONStrings(definition.actions, `${path}.actions`)
+  }
+  if (
+    definition.deprecated != null &&
+    typeof definition.deprecated !== 'boolean' &&
+    typeof definition.deprecated !== 'string'
+  ) {
+    throw invalidJSON(`${path}.deprecated`, 'a boolean or string')
+  }
+  return definition as any
+}
+
+function checkJSONAlias(
+  value: unknown,
+  path: string
+): { role: string; deprecated: boolean | string } {
+  const alias = checkJSONObject(value, path)
+  if (typeof alias.role !== 'string') {
+    throw invalidJSON(`${path}.role`, 'a string')
+  }
+  if (
+    alias.deprecated != null &&
+    typeof alias.deprecated !== 'boolean' &&
+    typeof alias.deprecated !== 'string'
+  ) {
+    throw invalidJSON(`${path}.deprecated`, 'a boolean or string')
+  }
+  return alias as any
+}
+
+/**
+ * Checks that the given value is a valid serialized RolesCalc, throwing a descriptive
+ * error if it isn't.  Options and sections that are missing get their defaults.
+ */
+function checkRolesCalcJSON(value: unknown): RolesCalcJSON<string> {
+  const json = checkJSONObject(value, 'input')
+  if (typeof json.version !== 'number') {
+    throw invalidJSON('version', 'a number')
+  }
+  if (json.version !== JSON_SCHEMA_VERSION) {
+    throw new Error(
+      `unsupported RolesCalc JSON version: ${json.version} (expected ${JSON_SCHEMA_VERSION})`
+    )
+  }
+  const options = checkJSONObject(json.options ?? {}, 'options')
+  for (const option of [
+    'resourceActions',
+    'writeExtendsRead',
+    'wildcards',
+    'resourceInstances',
+    'scopedRoles',
+    'strict',
+  ]) {
+    checkJSONType(options[option], `options.${option}`, 'boolean')
+  }
+  checkJSONType(
+    options.resourceActionSeparator,
+    'options.resourceActionSeparator',
+    'string'
+  )
+  checkJSONType(
+    options.inheritanceDepthLimit,
+    'options.inheritanceDepthLimit',
+    'number'
+  )
+  return {
+    version: JSON_SCHEMA_VERSION,
+    options: {
+      alwaysAllow: checkJSONStrings(
+        options.alwaysAllow ?? [],
+        'options.alwaysAllow'
+      ),
+      resourceActions: !!options.resourceActions,
+      writeExtendsRead: !!options.writeExtendsRead,
+      resourceActionSeparator: (options.resourceActionSeparator as any) ?? ':',
+      wildcards: !!options.wildcards,
+      resourceInstances: !!options.resourceInstances,
+      scopedRoles: !!options.scopedRoles,
+      strict: !!options.strict,
+      // null means there is no limit, so only a missing limit gets the default
+      inheritanceDepthLimit:
+        options.inheritanceDepthLimit === undefined
+          ? INHERITANCE_DEPTH_LIMIT
+          : (options.inheritanceDepthLimit as any),
+    },
+    hierarchy: checkJSONObjectOf(json.hierarchy, 'hierarchy', checkJSONStrings),
+    actionHierarchy: checkJSONObjectOf(
+      json.actionHierarchy,
+      'actionHierarchy',
+      checkJSONStrings
+    ),
+    denies: checkJSONObjectOf(json.denies, 'denies', checkJSONStrings),
+    aliases: checkJSONObjectOf(json.aliases, 'aliases', checkJSONAlias),
+    roles: checkJSONObjectOf(json.roles, 'roles', checkJSONDefinition),
+    resources: checkJSONObjectOf(
+      json.resources,
+      'resources',
+      checkJSONDefinition
+    ),
+  }
+}
+
+/**
+ * Checks that the given hierarchy option is an object from roles to arrays of roles,
+ * and gets its entries.
+ */
+function checkHierarchy<T extends string>(
+  hierarchy: unknown,
+  name: string
+): Array<[T, Array<T>]> {
+  if (typeof hierarchy !== 'object' || Array.isArray(hierarchy)) {
+    throw new Error(`${name} must be an object`)
+  }
+  const entries: Array<[T, Array<T>]> = Object.entries(hierarchy as any) as any
+  for (const [parent, children] of entries) {
+    if (
+      !Array.isArray(children) ||
+      children.some((child) => typeof child !== 'string' || !child)
+    ) {
+      throw new Error(
+        `${jsonPath(name, parent)} must be an array of non-empty strings`
+      )
+    }
+  }
+  return entries
+}
+
+function dotId(id: string): string {
+  return `"${id.replace(/["\\]/g, '\\$&')}"`
+}
+
+function mermaidLabel(label: string): string {
+  return `"${label.replace(/"/g, '#quot;')}"`
+}
+
+/**
+ * Splits a line of a Casbin policy into its fields, which are separated by commas and
+ * may be quoted with double quotes.
+ */
+function parseCasbinLine(line: string): Array<string> {
+  const fields: Array<string> = []
+  let field = ''
+  let quoted = false
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (quoted) {
+      if (char !== '"') field += char
+      else if (line[i + 1] === '"') field += line[++i]
+      else quoted = false
+    } else if (char === '"') quoted = true
+    else if (char === ',') {
+      fields.push(field.trim())
+      field = ''
+    } else field += char
+  }
+  fields.push(field.trim())
+  return fields
+}
+
+function csvField(value: string): string {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value
+}
+
+/**
+ * Creates a Rego module that implements isAuthorized using the data document created
+ * by toOpa().  For roles that aren't in the closure, it walks the relationships in the
+ * data document along with the resource:action, action hierarchy and resource instance
+ * rules, the way _calcParentRolesSet does.
+ */
+function opaRegoModule(packageName: string, dataPath: string): string {
+  return `package ${packageName}
+
+import rego.v1
+
+# Implements RolesCalc.isAuthorized for input.required and input.actual,
+# which may be roles or arrays of roles, using the flattened hierarchy in
+# data.${dataPath}.  Generated by @jcoreio/roles-calc.
+
+hierarchy := data.${dataPath}
+
+default authorized := false
+
+authorized if {
+	every required in required_roles {
+		satisfied(resolve(required))
+	}
+}
+
+required_roles := [input.required] if is_string(input.required)
+
+required_roles := input.required if is_array(input.required)
+
+actual_roles contains resolve(input.actual) if is_string(input.actual)
+
+actual_roles contains resolve(role) if {
+	is_array(input.actual)
+	some role in input.actual
+}
+
+resolve(role) := object.get(hierarchy.aliases, role, role)
+
+satisfied(required) if {
+	not denied(required)
+	some role in actual_roles
+	role in holders(required)
+}
+
+denied_roles contains denied_role if {
+	some rule in hierarchy.denies
+	some role in actual_roles
+	role in rule.holders
+	some denied_role in rule.denied
+}
+
+denied(required) if {
+	some denied_role in denied_roles
+	denies(denied_role, required)
+}
+
+# denying a role that isn't a resource or resource:action role only denies that role
+denies(denied_role, required) if denied_role == required
+
+# the requirement is the denied resource, or one of its actions, child resources or instances
+denies(denied_role, required) if {
+	hierarchy.resource_actions
+	some variant in variants(required)
+	same_or_child_resource(variant, denied_role)
+}
+
+# the requirement is a parent resource of the denied role
+denies(denied_role, required) if {
+	hierarchy.resource_actions
+	startswith(denied_role, concat("", [type_role(required), hierarchy.separator]))
+}
+
+# the requirement is the denied action on a child resource or instance
+denies(denied_role, required) if {
+	[denied_resource, action] := resource_and_action(denied_role)
+	[resource, action] := resource_and_action(type_role(required))
+	startswith(resource, concat("", [denied_resource, hierarchy.separator]))
+}
+
+# the requirement is an action that implies the denied action on the same or a parent resource
+denies(denied_role, required) if {
+	[denied_resource, _] := resource_and_action(denied_role)
+	[resource, _] := resource_and_action(type_role(required))
+	same_or_child_resource(denied_resource, resource)
+	type_role(required) in object.get(hierarchy.denied_holders, denied_role, [])
+}
+
+same_or_child_resource(role, resource) if role == resource
+
+same_or_child_resource(role, resource) if startswith(role, concat("", [resource, hierarchy.separator]))
+
+resource_and_action(role) := [concat(hierarchy.separator, array.slice(segments, 0, count(segments) - 1)), segments[count(segments) - 1]] if {
+	hierarchy.resource_actions
+	segments := split(role, hierarchy.separator)
+	count(segments) > 1
+}
+
+# the roles that satisfy a role, including itself and alwaysAllow roles
+holders(role) := result if {
+	closure := hierarchy.closure[role]
+	result := {holder | some holder in closure}
+}
+
+# for roles that aren't in the closure, walk the relationships and the resource:action
+# rules over the roles in relationships, the parent:action roles that could satisfy the
+# role, and the roles that imply any of them
+holders(role) := result if {
+	not hierarchy.closure[role]
+	always_allow := {always_allow_role | some always_allow_role in hierarchy.always_allow}
+	related := {related_role |
+		some child_role, parent_roles in hierarchy.parent_roles
+		some related_role in array.concat([child_role], parent_roles)
+	}
+	walked := (({role} | always_allow) | related) | {parent_action |
+		some related_role in related
+		some parent_action in parent_actions(related_role, role)
+	}
+	nodes := walked | {implied | some node in walked; some implied in implying_roles(node)}
+	edges := {node: parents |
+		some node in nodes
+		parent_roles := {parent_role | some parent_role in object.get(hierarchy.parent_roles, node, [])}
+		parents := (implying_roles(node) | parent_roles) | {parent_action |
+			some parent_role in parent_roles
+			some parent_action in parent_actions(parent_role, role)
+		}
+	}
+	result := graph.reachable(edges, {role} | always_allow)
+}
+
+# parent:action satisfies child:action when parent extends child
+parent_actions(parent_role, role) := {concat(hierarchy.separator, [parent_role, action])} if {
+	[_, action] := resource_and_action(role)
+	not resource_and_action(parent_role)
+} else := set()
+
+# the roles that imply a role by the resource:action and resource instance rules
+implying_roles(role) := (variants(role) | {implied |
+	hierarchy.resource_actions
+	some variant in variants(role)
+	segments := split(variant, hierarchy.separator)
+	count(segments) > 1
+	action := segments[count(segments) - 1]
+	actions := array.concat([action], object.get(hierarchy.action_parents, action, []))
+	some length in numbers.range(1, count(segments) - 1)
+	resource := concat(hierarchy.separator, array.slice(segments, 0, length))
+	some implied in ({resource} | {concat(hierarchy.separator, [resource, parent_action]) | some parent_action in actions})
+}) - {role}
+
+variants(role) := {role, type_role(role)}
+
+type_role(role) := regex.replace(role, hierarchy.instance_pattern, "") if hierarchy.resource_instances
+
+type_role(role) := role if not hierarchy.resource_instances
+`
+}
+
+/**
+ * Renders a PermissionMatrix as CSV, with a row for each role and a column for each
+ * permission.
+ */
+export function permissionMatrixToCSV<Role extends string>(
+  matrix: PermissionMatrix<Role>
+): string {
+  const { roles, permissions, grants } = matrix
+  return [
+    ['role', ...permissions],
+    ...roles.map((role, i) => [role, ...grants[i].map((grant) => grant || '')]),
+  ]
+    .map((row) => `${row.map(csvField).join(',')}\n`)
+    .join('')
+}
+
+function markdownCell(value: string): string {
+  return value.replace(/\|/g, '\\|')
+}
+
+/**
+ * Renders a PermissionMatrix as a Markdown table, with a row for each role and a column
+ * for each permission.
+ */
+export function permissionMatrixToMarkdown<Role extends string>(
+  matrix: PermissionMatrix<Role>
+): string {
+  const { roles, permissions, grants } = matrix
+  return [
+    ['role', ...permissions],
+    ['role', ...permissions].map(() => '---'),
+    ...roles.map((role, i) => [role, ...grants[i].map((grant) => grant || '')]),
+  ]
+    .map((row) => `| ${row.map(markdownCell).join(' | ')} |\n`)
+    .join('')
+}
+
+function grantRole<Role extends string>(grant: Role | RoleGrant<Role>): Role {
+  return typeof grant === 'string' ? grant : grant.role
+}
+
+const SCOPE_SEPARATOR = '@'
+const SCOPE_PATH_SEPARATOR = '/'
+
+/**
+ * Determines if an assignment in the given scope applies in the target scope,
+ * which it does if its scope is the target scope or an ancestor of it.
+ * Unscoped assignments apply in every scope.
+ */
+function scopeCovers(
+  scope: string | null | undefined,
+  target: string | null | undefined
+): boolean {
+  if (scope == null) return true
+  if (target == null) return false
+  return target === scope || target.startsWith(scope + SCOPE_PATH_SEPARATOR)
+}
+
+export default class RolesCalc<Role extends string, Context = any> {
   _resourceActions: boolean // defaults to false
 
   _writeExtendsRead: boolean // defaults to false
 
   _resourceActionRegex: RegExp
   _resourceActionSeparator: string
+  _wildcards: boolean // defaults to false
+
+  _resourceInstances: boolean // defaults to false
+
+  _scopedRoles: boolean // defaults to false
+
   _alwaysAllow: Set<Role>
+  _now: () => Date | number
   /** relationships, as defined by the user */
 
   _childRolesToParentRoles: Map<Role, Set<Role>> = new Map()
   _childRolesToParentRolesFlattened: Map<Role, Set<Role>> = new Map()
+  /** relationships that only apply when a condition on the context is met, as defined by the user */
+
+  _conditionalChildRolesToParentRoles: Map<
+    Role,
+    Map<Role, Array<RoleCondition<Context>>>
+  > = new Map()
+  /** action relationships that apply to every resource, e.g. write > read */
+
+  _childActionsToParentActions: Map<string, Set<string>> = new Map()
+  /** roles denied to holders of a role, as defined by the user */
+
+  _rolesToDeniedRoles: Map<Role, Set<Role>> = new Map()
+  /** roles that hold a role through inheritance, not counting alwaysAllow */
+
+  _rolesToHolderRolesFlattened: Map<Role, Set<Role>> = new Map()
+  /** wildcard roles that have been extended by other roles */
+
+  _wildcardRoles: Set<Role> = new Set()
+  _wildcardRegExps: Map<Role, RegExp> = new Map()
+  /** metadata about roles, as defined by the user */
+
+  _roleDefinitions: Map<Role, RoleDefinition> = new Map()
+  /** metadata about resources, as defined by the user */
+
+  _resourceDefinitions: Map<string, ResourceDefinition> = new Map()
+  /** defined roles, resource:action roles of defined resources and alwaysAllow roles */
+
+  _declaredRoles: Set<Role> | null | undefined
+  _strict: boolean // defaults to false
+  _inheritanceDepthLimit: number // defaults to INHERITANCE_DEPTH_LIMIT
+  /** alternate names for roles, as defined by the user */
+
+  _aliases: Map<Role, RoleAlias<Role>> = new Map()
+  _onDeprecatedAlias:
+    | ((alias: Role, role: Role, deprecated: true | string) => unknown)
+    | null
+    | undefined
+
   static rolesToSet: <Role extends string>(
     ...args: Array<Roles<Role>>
   ) => Set<Role> = rolesToSet
@@ -101,6 +1139,29 @@ export default class RolesCalc<Role extends string> {
       resourceActions?: boolean | null | undefined
       writeExtendsRead?: boolean | null | undefined
       resourceActionSeparator?: string | null | undefined
+      wildcards?: boolean | null | undefined
+      resourceInstances?: boolean | null | undefined
+      /** whether actual roles like 'admin@org/1' are assigned in a scope */
+      scopedRoles?: boolean | null | undefined
+      /** the clock used for RoleGrants, defaults to Date.now */
+      now?: (() => Date | number) | null | undefined
+      /** whether to throw errors for roles that haven't been defined */
+      strict?: boolean | null | undefined
+      /** the maximum depth of inheritance, defaults to INHERITANCE_DEPTH_LIMIT.  May be Infinity */
+      inheritanceDepthLimit?: number | null | undefined
+      /** metadata about roles, as defined by defineRole */
+      roles?: Partial<Record<Role, RoleDefinition>> | null | undefined
+      /** metadata about resources, as defined by defineResource */
+      resources?: Record<string, ResourceDefinition> | null | undefined
+      /** the child roles each role extends, e.g. { owner: ['manager'] } */
+      hierarchy?: Partial<Record<Role, ReadonlyArray<Role>>> | null | undefined
+      /** the child actions each action extends, e.g. { write: ['read'] } */
+      actionHierarchy?: Record<string, ReadonlyArray<string>> | null | undefined
+      /** called when a deprecated alias is used */
+      onDeprecatedAlias?:
+        | ((alias: Role, role: Role, deprecated: true | string) => unknown)
+        | null
+        | undefined
     } = {}
   ) {
     const {
@@ -108,6 +1169,17 @@ export default class RolesCalc<Role extends string> {
       resourceActions,
       writeExtendsRead,
       resourceActionSeparator,
+      wildcards,
+      resourceInstances,
+      scopedRoles,
+      now,
+      strict,
+      onDeprecatedAlias,
+      inheritanceDepthLimit,
+      roles,
+      resources,
+      hierarchy,
+      actionHierarchy,
     } = opts
     if (
       resourceActionSeparator != null &&
@@ -115,22 +1187,86 @@ export default class RolesCalc<Role extends string> {
     ) {
       throw new Error('resourceActionSeparator must be a single character')
     }
+    if (
+      inheritanceDepthLimit != null &&
+      !(
+        inheritanceDepthLimit === Infinity ||
+        (Number.isInteger(inheritanceDepthLimit) && inheritanceDepthLimit > 0)
+      )
+    ) {
+      throw new Error(
+        'inheritanceDepthLimit must be a positive integer or Infinity'
+      )
+    }
+    this._inheritanceDepthLimit =
+      inheritanceDepthLimit ?? INHERITANCE_DEPTH_LIMIT
+    const hierarchyEntries =
+      hierarchy != null ? checkHierarchy<Role>(hierarchy, 'hierarchy') : []
+    const actionHierarchyEntries =
+      actionHierarchy != null
+        ? checkHierarchy<string>(actionHierarchy, 'actionHierarchy')
+        : []
     this._alwaysAllow = rolesToSet(alwaysAllow || [])
     this._resourceActions = !!resourceActions
     this._writeExtendsRead = !!writeExtendsRead
+    this._wildcards = !!wildcards
+    this._resourceInstances = !!resourceInstances
+    this._scopedRoles = !!scopedRoles
+    this._onDeprecatedAlias = onDeprecatedAlias
+    this._now = now || Date.now
     const sep = (this._resourceActionSeparator = resourceActionSeparator || ':')
-    this._resourceActionRegex = new RegExp(`^([^${sep}]+)${sep}([^${sep}]+)$`)
+    const s = escapeRegExp(sep)
+    // the resource may be a path of any depth, e.g. 'org:site' in 'org:site:read'
+    this._resourceActionRegex = new RegExp(
+      `^((?:[^${s}]+${s})*[^${s}]+)${s}([^${s}]+)$`
+    )
+    if (roles) {
+      for (const [role, definition] of Object.entries(roles) as Array<
+        [Role, RoleDefinition]
+      >) {
+        this.defineRole(role, definition)
+      }
+    }
+    if (resources) {
+      for (const [resource, definition] of Object.entries(resources)) {
+        this.defineResource(resource, definition)
+      }
+    }
+    // the hierarchy is checked against the roles and resources options in strict mode
+    this._strict = !!strict
+    if (this._writeExtendsRead) this.action('write').extends('read')
+    for (const [parentAction, childActions] of actionHierarchyEntries) {
+      this.action(parentAction).extends(childActions)
+    }
+    for (const [parentRole, childRoles] of hierarchyEntries) {
+      this.role(parentRole).extends(childRoles)
+    }
   }
 
-  role(parentRoles: Roles<Role>): RoleModifier<Role> {
+  role(parentRoles: Roles<Role>): RoleModifier<Role, Context> {
     return {
       extends: (...childRoles: Array<Roles<Role>>) => {
-        for (const parentRole of rolesToIterable(parentRoles)) {
+        this._assertKnownRoles(rolesToIterable(parentRoles, ...childRoles))
+        const addedRelationships: Array<[Role, Role]> = []
+        for (const parentRole of this._resolveRoles(parentRoles)) {
           for (const arg of childRoles) {
-            for (const childRole of rolesToIterable(arg)) {
+            for (const childRole of this._resolveRoles(arg)) {
               let parentRolesForChildRole: Set<Role> | null | undefined =
                 this._childRolesToParentRoles.get(childRole)
 
+              const chain = this._findExtendingChain(parentRole, childRole)
+              if (chain) {
+                for (const [
+                  addedChildRole,
+                  addedParentRole,
+                ] of addedRelationships) {
+                  this._childRolesToParentRoles
+                    .get(addedChildRole)
+                    ?.delete(addedParentRole)
+                }
+                throw new InheritanceCycleError([parentRole, ...chain])
+              }
+
               if (!parentRolesForChildRole) {
                 parentRolesForChildRole = new Set()
                 this._childRolesToParentRoles.set(
@@ -141,52 +1277,840 @@ export default class RolesCalc<Role extends string> {
 
               if (!parentRolesForChildRole.has(parentRole)) {
                 parentRolesForChildRole.add(parentRole)
-                this._childRolesToParentRolesFlattened.clear()
+                addedRelationships.push([childRole, parentRole])
+                if (this._isWildcardRole(childRole))
+                  this._wildcardRoles.add(childRole)
+                this._clearFlattenedRoles()
               }
             }
           }
         }
+        return {
+          when: (condition: RoleCondition<Context>) => {
+            // relationships that already existed unconditionally are left as they were
+            for (const [childRole, parentRole] of addedRelationships) {
+              this._childRolesToParentRoles.get(childRole)?.delete(parentRole)
+              let conditionalParentRoles:
+                | Map<Role, Array<RoleCondition<Context>>>
+                | null
+                | undefined =
+                this._conditionalChildRolesToParentRoles.get(childRole)
+              if (!conditionalParentRoles) {
+                conditionalParentRoles = new Map()
+                this._conditionalChildRolesToParentRoles.set(
+                  childRole,
+                  conditionalParentRoles
+                )
+              }
+              const conditions = conditionalParentRoles.get(parentRole)
+              if (conditions) conditions.push(condition)
+              else conditionalParentRoles.set(parentRole, [condition])
+            }
+            this._clearFlattenedRoles()
+          },
+        }
+      },
+      denies: (...deniedRoles: Array<Roles<Role>>) => {
+        this._assertKnownRoles(rolesToIterable(parentRoles, ...deniedRoles))
+        for (const parentRole of this._resolveRoles(parentRoles)) {
+          let deniedRolesForParentRole: Set<Role> | null | undefined =
+            this._rolesToDeniedRoles.get(parentRole)
+
+          if (!deniedRolesForParentRole) {
+            deniedRolesForParentRole = new Set()
+            this._rolesToDeniedRoles.set(parentRole, deniedRolesForParentRole)
+          }
+
+          for (const arg of deniedRoles) {
+            for (const deniedRole of this._resolveRoles(arg)) {
+              deniedRolesForParentRole.add(deniedRole)
+            }
+          }
+        }
+      },
+      unextends: (...childRoles: Array<Roles<Role>>) => {
+        for (const parentRole of this._resolveRoles(parentRoles)) {
+          for (const arg of childRoles) {
+            for (const childRole of this._resolveRoles(arg)) {
+              this._removeRelationship(childRole, parentRole)
+            }
+          }
+        }
       },
     }
   }
 
-  isAuthorized(args: { required: Roles<Role>; actual: Roles<Role> }): boolean {
-    const { required, actual } = args
-    if (typeof required !== 'string') {
-      for (const role of rolesToIterable(required)) {
-        if (!this._isAuthorized({ required: role, actual })) return false
+  /**
+   * Finds a chain of relationships by which the given ancestor extends the given role,
+   * starting from the ancestor, or returns null if there isn't one.
+   */
+  _findExtendingChain(role: Role, ancestor: Role): Array<Role> | null {
+    const extendedRoles: Map<Role, Role> = new Map()
+    const queue: Array<Role> = [role]
+    for (const current of queue) {
+      if (current === ancestor) {
+        const chain = [current]
+        for (
+          let extended = extendedRoles.get(current);
+          extended != null;
+          extended = extendedRoles.get(extended)
+        ) {
+          chain.push(extended)
+        }
+        return chain
       }
-      return true
+      for (const parentRole of [
+        ...(this._childRolesToParentRoles.get(current) || []),
+        ...(this._conditionalChildRolesToParentRoles.get(current)?.keys() ||
+          []),
+      ]) {
+        if (parentRole !== role && !extendedRoles.has(parentRole)) {
+          extendedRoles.set(parentRole, current)
+          queue.push(parentRole)
+        }
+      }
+    }
+    return null
+  }
+
+  /**
+   * Defines an alternate name for a role, which is resolved to the role everywhere roles
+   * are accepted.  If the alias is deprecated, the onDeprecatedAlias option is called
+   * whenever it is used.  For example:
+   * rc.alias('mgr', 'manager', { deprecated: true })
+   * rc.isAuthorized({ required: 'manager', actual: 'mgr' }) -> true
+   */
+  alias(
+    alias: Role,
+    role: Role,
+    options: { deprecated?: boolean | string | null | undefined } = {}
+  ) {
+    for (
+      let target: Role | undefined = role;
+      target;
+      target = this._aliases.get(target)?.role
+    ) {
+      if (target === alias)
+        throw new Error(`alias ${alias} would resolve to itself`)
+    }
+    this._aliases.set(alias, { role, deprecated: options.deprecated })
+  }
+
+  /**
+   * Resolves an alias to the role it stands for, or returns the role if it isn't an alias.
+   */
+  _resolveAlias(role: Role): Role {
+    for (
+      let alias = this._aliases.get(role);
+      alias;
+      alias = this._aliases.get(role)
+    ) {
+      const { deprecated } = alias
+      if (deprecated && this._onDeprecatedAlias)
+        this._onDeprecatedAlias(role, alias.role, deprecated)
+      role = alias.role
+    }
+    return role
+  }
+
+  *_resolveRoles(...args: Array<Roles<Role>>): Iterable<Role> {
+    for (const role of rolesToIterable(...args)) yield this._resolveAlias(role)
+  }
+
+  /**
+   * Converts roles to a Set like rolesToSet, resolving any aliases.
+   */
+  resolveRolesSet(...args: Array<Roles<Role>>): Set<Role> {
+    return new Set(this._resolveRoles(...args))
+  }
+
+  /**
+   * Removes a relationship defined by rc.role(parentRole).extends(childRole), whether
+   * or not it is conditional.
+   */
+  _removeRelationship(childRole: Role, parentRole: Role) {
+    const parentRolesForChildRole = this._childRolesToParentRoles.get(childRole)
+    if (parentRolesForChildRole) {
+      if (parentRolesForChildRole.delete(parentRole))
+        this._clearFlattenedRoles()
+      if (!parentRolesForChildRole.size)
+        this._childRolesToParentRoles.delete(childRole)
+    }
+    const conditionalParentRoles =
+      this._conditionalChildRolesToParentRoles.get(childRole)
+    if (conditionalParentRoles) {
+      if (conditionalParentRoles.delete(parentRole)) this._clearFlattenedRoles()
+      if (!conditionalParentRoles.size)
+        this._conditionalChildRolesToParentRoles.delete(childRole)
+    }
+    if (
+      !this._childRolesToParentRoles.has(childRole) &&
+      !this._conditionalChildRolesToParentRoles.has(childRole)
+    )
+      this._wildcardRoles.delete(childRole)
+  }
+
+  /**
+   * Removes a role from the hierarchy, along with all of its relationships and
+   * deny rules, its definition, and from the alwaysAllow roles.
+   */
+  removeRole(role: Role) {
+    role = this._resolveAlias(role)
+    for (const childRole of [
+      ...this._childRolesToParentRoles.keys(),
+      ...this._conditionalChildRolesToParentRoles.keys(),
+    ]) {
+      this._removeRelationship(childRole, role)
+    }
+    this._childRolesToParentRoles.delete(role)
+    this._conditionalChildRolesToParentRoles.delete(role)
+    this._wildcardRoles.delete(role)
+    this._wildcardRegExps.delete(role)
+    this._rolesToDeniedRoles.delete(role)
+    for (const [parentRole, deniedRoles] of this._rolesToDeniedRoles) {
+      deniedRoles.delete(role)
+      if (!deniedRoles.size) this._rolesToDeniedRoles.delete(parentRole)
     }
-    return this._isAuthorized({ required, actual })
+    this._roleDefinitions.delete(role)
+    this._declaredRoles = null
+    if (this._alwaysAllow.has(role)) {
+      // the set may have been passed in by the user
+      this._alwaysAllow = new Set(this._alwaysAllow)
+      this._alwaysAllow.delete(role)
+    }
+    this._clearFlattenedRoles()
+  }
+
+  /**
+   * Replaces the roles that are always allowed.
+   */
+  setAlwaysAllow(alwaysAllow: Roles<Role> | null | undefined) {
+    this._alwaysAllow = new Set(rolesToIterable(alwaysAllow || []))
+    this._declaredRoles = null
+    this._clearFlattenedRoles()
   }
 
-  _isAuthorized(args: { required: Role; actual: Roles<Role> }): boolean {
-    const { required, actual } = args // Look up a flattened set of roles that extend the required role
+  /**
+   * Defines relationships between actions that apply to every resource.  For example:
+   * rc.action('manage').extends('write')
+   * rc.isAuthorized({ required: 'site:write', actual: 'site:manage' }) -> true
+   */
+  action(parentActions: Roles<string>): ActionModifier {
+    return {
+      extends: (...childActions: Array<Roles<string>>) => {
+        for (const parentAction of rolesToIterable(parentActions)) {
+          for (const arg of childActions) {
+            for (const childAction of rolesToIterable(arg)) {
+              let parentActionsForChildAction: Set<string> | null | undefined =
+                this._childActionsToParentActions.get(childAction)
+
+              if (!parentActionsForChildAction) {
+                parentActionsForChildAction = new Set()
+                this._childActionsToParentActions.set(
+                  childAction,
+                  parentActionsForChildAction
+                )
+              }
 
-    const parentRoles: Set<Role> = this._getParentRolesSet(required)
+              if (!parentActionsForChildAction.has(parentAction)) {
+                parentActionsForChildAction.add(parentAction)
+                this._clearFlattenedRoles()
+              }
+            }
+          }
+        }
+      },
+    }
+  }
+
+  /**
+   * Defines metadata about a role, replacing any previous definition.  Roles don't
+   * need to be defined to be used, but defined roles are included in listRoles().
+   */
+  defineRole(role: Role, definition: RoleDefinition = {}) {
+    this._roleDefinitions.set(role, definition)
+    this._declaredRoles = null
+  }
+
+  /**
+   * Defines metadata about a resource and the actions that can be performed on it,
+   * replacing any previous definition.  The resource and its resource:action roles
+   * are included in listRoles().
+   */
+  defineResource(resource: string, definition: ResourceDefinition = {}) {
+    this._resourceDefinitions.set(resource, definition)
+    this._declaredRoles = null
+  }
+
+  _getDeclaredRolesSet(): Set<Role> {
+    let declaredRoles = this._declaredRoles
+    if (!declaredRoles) {
+      declaredRoles = this._declaredRoles = new Set(this._alwaysAllow)
+      for (const role of this._roleDefinitions.keys()) declaredRoles.add(role)
+      for (const [resource, { actions }] of this._resourceDefinitions) {
+        declaredRoles.add(resource as any)
+        if (actions) {
+          for (const action of actions) {
+            declaredRoles.add(
+              `${resource}${this._resourceActionSeparator}${action}` as any
+            )
+          }
+        }
+      }
+    }
+    return declaredRoles
+  }
+
+  /**
+   * In strict mode, throws an error if any of the given roles haven't been declared
+   * with defineRole, defineResource or the alwaysAllow option.  Roles for resource
+   * instances are checked without their instance ids, and wildcard roles must match
+   * a declared role.
+   */
+  _assertKnownRoles(roles: Iterable<Role>) {
+    if (!this._strict) return
+    const declaredRoles = this._getDeclaredRolesSet()
+    for (const role of roles) {
+      const typeRole = this._hasResourceInstance(role)
+        ? this._stripResourceInstances(role)
+        : role
+      if (declaredRoles.has(typeRole) || this._aliases.has(role)) continue
+      if (this._isWildcardRole(role)) {
+        let matches = false
+        for (const declaredRole of declaredRoles) {
+          if (this._matchesWildcard(role, declaredRole)) {
+            matches = true
+            break
+          }
+        }
+        if (matches) continue
+      }
+      const suggestions = [...declaredRoles]
+        .map((declaredRole) => ({
+          declaredRole,
+          distance: editDistance(typeRole, declaredRole),
+        }))
+        .filter(({ distance }) => distance <= Math.min(2, typeRole.length / 3))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, 3)
+        .map(({ declaredRole }) => declaredRole)
+      throw new Error(
+        `unknown role: ${role}` +
+          (suggestions.length
+            ? ` (did you mean ${suggestions.join(' or ')}?)`
+            : '')
+      )
+    }
+  }
+
+  /**
+   * Lists every role the calculator knows about, with its metadata if it has been
+   * defined: defined roles, defined resources and their resource:action roles,
+   * alwaysAllow roles and every role mentioned in a relationship or deny rule.
+   */
+  listRoles(): Array<RoleInfo<Role>> {
+    return [...this._getKnownRolesSet()].map((role) => ({
+      ...this._roleDefinitions.get(role),
+      role,
+    }))
+  }
+
+  /**
+   * Lists the defined resources, with their metadata.
+   */
+  listResources(): Array<ResourceInfo> {
+    return [...this._resourceDefinitions].map(([resource, definition]) => ({
+      ...definition,
+      resource,
+    }))
+  }
+
+  _clearFlattenedRoles() {
+    this._childRolesToParentRolesFlattened.clear()
+    this._rolesToHolderRolesFlattened.clear()
+  }
+
+  /**
+   * Determines if the actual roles meet the required roles.  If a context is given,
+   * relationships defined with rc.role(...).extends(...).when(condition) apply when
+   * their condition returns true for the context.  RoleGrants in the actual roles
+   * only apply if they are active at the given time (defaults to the current time).
+   * Actual roles assigned in a scope only apply if their scope is the given scope or
+   * an ancestor of it.
+   */
+  isAuthorized(args: {
+    required: RoleRequirement<Role>
+    actual: ActualRoles<Role>
+    context?: Context
+    now?: Date | number
+    scope?: string
+  }): boolean {
+    const { required, context } = args
+    if (this._strict) this._assertKnownRoles(requirementRoles(required))
+    const actual = this._getActiveRolesSet(args.actual, args.now, args.scope)
+    const deniedRoles = this._getDeniedRolesSet(actual, context)
+    return this._meetsRequirement({ required, actual, deniedRoles, context })
+  }
+
+  /**
+   * Gets the set of actual roles that are active at the given time in the given scope.
+   */
+  _getActiveRolesSet(
+    actual: ActualRoles<Role>,
+    now?: Date | number,
+    scope?: string
+  ): Set<Role> {
+    if (!Array.isArray(actual) && !(actual instanceof Set)) {
+      if (!this._scopedRoles && !this._aliases.size)
+        return rolesToSet(actual as Roles<Role>)
+      actual = [...rolesToIterable(actual as Roles<Role>)]
+    }
+    const result: Set<Role> = new Set()
+    let time: number | undefined
+    for (const entry of actual) {
+      if (typeof entry !== 'string') {
+        if (time === undefined) time = +(now ?? this._now())
+        if (!isGrantActive(entry, time)) continue
+      }
+      const assignment = this._toRoleAndScope(entry)
+      if (scopeCovers(assignment.scope, scope)) result.add(assignment.role)
+    }
+    return result
+  }
+
+  /**
+   * Splits an actual role like 'admin@org/1' into its role and scope.
+   */
+  _toRoleAndScope(entry: Role | RoleGrant<Role>): {
+    role: Role
+    scope: string | null | undefined
+  } {
+    let role = grantRole(entry)
+    let scope = typeof entry === 'string' ? null : entry.scope
+    if (this._scopedRoles) {
+      const index = role.lastIndexOf(SCOPE_SEPARATOR)
+      if (index >= 0) {
+        scope = role.substring(index + 1)
+        role = role.substring(0, index) as Role
+      }
+    }
+    return { role: this._resolveAlias(role), scope }
+  }
+
+  /**
+   * Explains the result of isAuthorized with the same arguments.  For each role in the
+   * requirement, gives the shortest chain of steps from one of the actual roles to the
+   * required role, if any, and the denied role that overrides it, if any.
+   */
+  explainAuthorization(args: {
+    required: RoleRequirement<Role>
+    actual: ActualRoles<Role>
+    context?: Context
+    now?: Date | number
+    scope?: string
+  }): AuthorizationExplanation<Role> {
+    const { required, context } = args
+    if (this._strict) this._assertKnownRoles(requirementRoles(required))
+    const actual = this._getActiveRolesSet(args.actual, args.now, args.scope)
+    const deniedRoles = this._getDeniedRolesSet(actual, context)
+    const requirements: Array<RequirementExplanation<Role>> = []
+    for (const role of this.resolveRolesSet([...requirementRoles(required)])) {
+      requirements.push(
+        this._explainRequirement(role, actual, deniedRoles, context)
+      )
+    }
+    return {
+      authorized: this._meetsRequirement({
+        required,
+        actual,
+        deniedRoles,
+        context,
+      }),
+      requirements,
+    }
+  }
+
+  _explainRequirement(
+    required: Role,
+    actual: Set<Role>,
+    deniedRoles: Set<Role>,
+    context?: Context
+  ): RequirementExplanation<Role> {
+    const origins: Map<Role, RoleOrigin<Role>> = new Map()
+    const parentRoles = this._calcParentRolesSet(
+      required,
+      this._alwaysAllow,
+      undefined,
+      context,
+      origins
+    )
+    const pathFrom = (parentRole: Role): Array<AuthorizationStep<Role>> => {
+      const path: Array<AuthorizationStep<Role>> = []
+      for (
+        let origin = origins.get(parentRole);
+        origin;
+        origin = origins.get(origin.role)
+      ) {
+        path.push({
+          role: parentRole,
+          implies: origin.role,
+          reason: origin.reason,
+        })
+        parentRole = origin.role
+      }
+      return path
+    }
+    const explain = (role: Role): Array<AuthorizationStep<Role>> | null => {
+      if (role === required) return []
+      if (parentRoles.has(role)) return pathFrom(role)
+      if (!this._isWildcardRole(role)) return null
+      if (this._matchesWildcard(role, required))
+        return [{ role, implies: required, reason: 'wildcard' }]
+      for (const parentRole of parentRoles) {
+        if (this._matchesWildcard(role, parentRole)) {
+          return [
+            { role, implies: parentRole, reason: 'wildcard' },
+            ...pathFrom(parentRole),
+          ]
+        }
+      }
+      return null
+    }
+
+    let path: Array<AuthorizationStep<Role>> | null = null
+    for (const actualRole of actual) {
+      const actualPath = explain(actualRole)
+      if (actualPath && (!path || actualPath.length < path.length))
+        path = actualPath
+    }
+    let deniedBy: Role | null = null
+    for (const deniedRole of deniedRoles) {
+      if (this._denies(deniedRole, required, context)) {
+        deniedBy = deniedRole
+        break
+      }
+    }
+    return {
+      required,
+      authorized: path != null && deniedBy == null,
+      path,
+      deniedBy,
+    }
+  }
+
+  /**
+   * Reports which roles would satisfy the requirements that the actual roles don't meet,
+   * given the same arguments as isAuthorized.  Candidates are the parent roles of each
+   * unmet required role, excluding alwaysAllow roles, roles like 'manager:read' that
+   * are only reached by parent:action propagation, and roles that grant another
+   * candidate.  The candidates that imply the most of the actual roles are flagged as
+   * closest, and are kept even if they grant a candidate that isn't closest.  Roles
+   * whose requirement is only unmet because of a not expression aren't reported, since
+   * no grant would satisfy them.
+   */
+  getDenialReport(args: {
+    required: RoleRequirement<Role>
+    actual: ActualRoles<Role>
+    context?: Context
+    now?: Date | number
+    scope?: string
+  }): DenialReport<Role> {
+    const { required, context } = args
+    if (this._strict) this._assertKnownRoles(requirementRoles(required))
+    const actual = this._getActiveRolesSet(args.actual, args.now, args.scope)
+    const deniedRoles = this._getDeniedRolesSet(actual, context)
+    const unmet: Array<UnmetRequirement<Role>> = []
+    for (const role of this.resolveRolesSet([...requirementRoles(required)])) {
+      if (!this._isAuthorized({ required: role, actual, deniedRoles, context }))
+        unmet.push(
+          this._getUnmetRequirement(role, actual, deniedRoles, context)
+        )
+    }
+    return {
+      authorized: this._meetsRequirement({
+        required,
+        actual,
+        deniedRoles,
+        context,
+      }),
+      unmet,
+    }
+  }
+
+  _getUnmetRequirement(
+    required: Role,
+    actual: Set<Role>,
+    deniedRoles: Set<Role>,
+    context?: Context
+  ): UnmetRequirement<Role> {
+    const origins: Map<Role, RoleOrigin<Role>> = new Map()
+    this._calcParentRolesSet(
+      required,
+      this._alwaysAllow,
+      undefined,
+      context,
+      origins
+    )
+    for (const deniedRole of deniedRoles) {
+      if (this._denies(deniedRole, required, context))
+        return { required, deniedBy: deniedRole, candidates: [] }
+    }
+
+    const candidates: Set<Role> = new Set()
+    const propagatedRoles: Set<Role> = new Set()
+    // origins are in the order the roles were reached, so the origin of each role comes first
+    for (const [role, origin] of origins) {
+      if (origin.reason === 'alwaysAllow') continue
+      if (origin.reason === 'parentAction' || propagatedRoles.has(origin.role))
+        propagatedRoles.add(role)
+      else candidates.add(role)
+    }
+    // flag the closest candidates before pruning, since the roles that imply what the
+    // user already holds usually also grant other candidates
+    const impliedCounts: Map<Role, number> = new Map()
+    for (const candidate of candidates) {
+      let count = 0
+      for (const actualRole of actual) {
+        if (
+          this._satisfies(
+            candidate,
+            actualRole,
+            this._getParentRolesSet(actualRole, context)
+          )
+        )
+          count++
+      }
+      impliedCounts.set(candidate, count)
+    }
+    const maxImpliedCount = Math.max(0, ...impliedCounts.values())
+    const closest: Set<Role> = new Set()
+    impliedCounts.forEach((count, candidate) => {
+      if (maxImpliedCount > 0 && count === maxImpliedCount)
+        closest.add(candidate)
+    })
+
+    // Unlike pruneRedundantRolesSet, which keeps the roles that grant the others, this
+    // drops a candidate that grants another candidate, since it grants more than is
+    // necessary.  Closest candidates are only dropped in favor of other closest ones.
+    for (const candidate of candidates) {
+      for (const other of candidates) {
+        if (
+          other !== candidate &&
+          (closest.has(other) || !closest.has(candidate)) &&
+          this._satisfies(
+            candidate,
+            other,
+            this._getParentRolesSet(other, context)
+          )
+        ) {
+          candidates.delete(candidate)
+          break
+        }
+      }
+    }
+
+    return {
+      required,
+      deniedBy: null,
+      candidates: [...candidates].map((role) => ({
+        role,
+        closest: closest.has(role),
+      })),
+    }
+  }
+
+  _meetsRequirement(args: {
+    required: RoleRequirement<Role>
+    actual: Roles<Role>
+    deniedRoles: Set<Role>
+    context?: Context
+  }): boolean {
+    const { required, actual, deniedRoles, context } = args
+    if (typeof required === 'string') {
+      return this._isAuthorized({ required, actual, deniedRoles, context })
+    }
+    const meets = (required: RoleRequirement<Role>) =>
+      this._meetsRequirement({ required, actual, deniedRoles, context })
+    if (Array.isArray(required)) return required.every(meets)
+    if (isRequirementExpression(required)) {
+      const expr: any = required
+      if (expr.anyOf) return expr.anyOf.some(meets)
+      if (expr.allOf) return expr.allOf.every(meets)
+      return !meets(expr.not)
+    }
+    for (const role of rolesToIterable(required as Roles<Role>)) {
+      if (!this._isAuthorized({ required: role, actual, deniedRoles, context }))
+        return false
+    }
+    return true
+  }
+
+  _isAuthorized(args: {
+    required: Role
+    actual: Roles<Role>
+    deniedRoles?: Set<Role>
+    context?: Context
+  }): boolean {
+    const {
+      actual,
+      context,
+      deniedRoles = this._getDeniedRolesSet(actual, context),
+    } = args
+    const required = this._resolveAlias(args.required) // Look up a flattened set of roles that extend the required role
+
+    const parentRoles: Set<Role> = this._getParentRolesSet(required, context)
+
+    // deny rules override any grant, including those from alwaysAllow roles
+    for (const deniedRole of deniedRoles) {
+      if (this._denies(deniedRole, required, context)) return false
+    }
 
     for (const actualRole of rolesToIterable(actual)) {
-      if (actualRole === required || parentRoles.has(actualRole)) return true
+      if (this._satisfies(actualRole, required, parentRoles)) return true
     }
 
     return false
   }
+
+  /**
+   * Determines if a denied role denies a required role.  Denying a role that isn't a
+   * resource or resource:action role only denies that role, not the roles it extends.
+   * Denying a resource denies its actions, child resources and instances, and denying a
+   * resource:action role denies the same action on its child resources and instances.
+   * Resource and resource:action requirements that grant a denied role are denied too,
+   * like 'billing' or 'billing:manage' when 'billing:write' is denied.
+   */
+  _denies(deniedRole: Role, required: Role, context?: Context): boolean {
+    if (required === deniedRole) return true
+    if (this._isWildcardRole(deniedRole))
+      return this._matchesWildcard(deniedRole, required)
+    if (!this._resourceActions) return false
+
+    const sep = this._resourceActionSeparator
+    const typeRole = this._hasResourceInstance(required)
+      ? this._stripResourceInstances(required)
+      : required
+    // the requirement is the denied resource, or one of its actions, child resources
+    // or instances
+    if (
+      typeRole === deniedRole ||
+      required.startsWith(`${deniedRole}${sep}`) ||
+      typeRole.startsWith(`${deniedRole}${sep}`)
+    )
+      return true
+    // the requirement is a parent resource of the denied role
+    if (deniedRole.startsWith(`${typeRole}${sep}`)) return true
+
+    const denied = this._toResourceAndAction(deniedRole)
+    const { resource, action } = this._toResourceAndAction(typeRole)
+    if (!denied.resource || !resource || !action) return false
+    // the requirement is the denied action on a child resource or instance
+    if (
+      action === denied.action &&
+      resource.startsWith(`${denied.resource}${sep}`)
+    )
+      return true
+    // the requirement is an action that implies the denied action on the same or a
+    // parent resource
+    return (
+      (resource === denied.resource ||
+        denied.resource.startsWith(`${resource}${sep}`)) &&
+      this._satisfies(
+        typeRole,
+        deniedRole,
+        this._getHolderRolesSet(deniedRole, context)
+      )
+    )
+  }
+
+  /**
+   * Determines if the given role satisfies a required role, given the required role's
+   * flattened parent roles.  Wildcard roles satisfy the required role if they match it
+   * or any of its parent roles.
+   */
+  _satisfies(role: Role, required: Role, parentRoles: Set<Role>): boolean {
+    if (role === required || parentRoles.has(role)) return true
+    if (!this._isWildcardRole(role)) return false
+    if (this._matchesWildcard(role, required)) return true
+    for (const parentRole of parentRoles) {
+      if (this._matchesWildcard(role, parentRole)) return true
+    }
+    return false
+  }
+
+  /**
+   * Gets the set of roles denied to a user with the given actual roles.
+   * A role's deny rules apply to holders of that role and to holders of any role
+   * that extends it, but not to alwaysAllow roles merely because they are always allowed.
+   */
+  _getDeniedRolesSet(actual: Roles<Role>, context?: Context): Set<Role> {
+    const result: Set<Role> = new Set()
+    if (!this._rolesToDeniedRoles.size) return result
+
+    const actualRoles = rolesToSet(actual)
+    for (const [role, deniedRoles] of this._rolesToDeniedRoles) {
+      const holderRoles = this._getHolderRolesSet(role, context)
+      for (const actualRole of actualRoles) {
+        if (this._satisfies(actualRole, role, holderRoles)) {
+          deniedRoles.forEach((deniedRole) => result.add(deniedRole))
+          break
+        }
+      }
+    }
+    return result
+  }
+
+  _getHolderRolesSet(role: Role, context?: Context): Set<Role> {
+    let holderRoles: Set<Role> | null | undefined =
+      this._rolesToHolderRolesFlattened.get(role)
+
+    if (!holderRoles) {
+      holderRoles = this._calcParentRolesSet(role, new Set())
+      this._rolesToHolderRolesFlattened.set(role, holderRoles)
+    }
+
+    if (this._hasConditionalParentRoles(role, holderRoles, context))
+      return this._calcParentRolesSet(role, new Set(), holderRoles, context)
+    return holderRoles
+  }
   /**
    * Removes roles that are redundant due to an inheritance relationship. For example:
    * rc.role('manager').extends('employee')
    * rc.pruneRedundantRoles(['manager', 'employee']) -> ['manager']
    * rc.pruneRedundantRoles(['foo:write', 'foo:read']) -> ['foo:write']
    * rc.pruneRedundantRoles(['foo', 'foo:write']) -> ['foo']
+   * rc.pruneRedundantRoles(['*:read', 'foo:read']) -> ['*:read'] (with wildcards enabled)
+   *
+   * RoleGrants are only redundant if the roles that make them redundant are active
+   * whenever they are, for example:
+   * rc.pruneRedundantRoles([{ role: 'manager', expiresAt }, 'employee']) -> [{ role: 'manager', expiresAt }, 'employee']
+   *
+   * Likewise, scoped roles are only redundant if the roles that make them redundant
+   * are assigned in the same scope or an ancestor of it (with scopedRoles enabled):
+   * rc.pruneRedundantRoles(['manager@org/1', 'employee@org/1/team/7']) -> ['manager@org/1']
    * @param roles
    */
 
-  pruneRedundantRolesSet(roles: Roles<Role>): Set<Role> {
-    const pruned = rolesToSet(roles)
-    for (const childRole of pruned) {
-      for (const parentRole of this.getParentRolesSet(childRole)) {
-        if (pruned.has(parentRole)) {
-          pruned.delete(childRole)
+  pruneRedundantRolesSet<R extends Role | RoleGrant<Role> = Role>(
+    roles: Roles<Role> | ReadonlyArray<R> | Set<R>
+  ): Set<R> {
+    const pruned: Set<R> =
+      Array.isArray(roles) || roles instanceof Set
+        ? new Set(roles as Iterable<R>)
+        : new Set(rolesToIterable(roles as Roles<Role>) as Iterable<any>)
+    for (const child of pruned) {
+      const { role: childRole, scope: childScope } = this._toRoleAndScope(child)
+      this._assertKnownRoles([childRole])
+      const parentRoles = this._getParentRolesSet(childRole)
+      for (const grant of pruned) {
+        if (grant === child) continue
+        const { role, scope } = this._toRoleAndScope(grant)
+        if (
+          this._satisfies(role, childRole, parentRoles) &&
+          scopeCovers(scope, childScope) &&
+          grantCovers(grant, child)
+        ) {
+          pruned.delete(child)
           break
         }
       }
@@ -194,11 +2118,30 @@ export default class RolesCalc<Role extends string> {
     return pruned
   }
 
-  pruneRedundantRoles(roles: Roles<Role>): Array<Role> {
+  pruneRedundantRoles<R extends Role | RoleGrant<Role> = Role>(
+    roles: Roles<Role> | ReadonlyArray<R> | Set<R>
+  ): Array<R> {
     return Array.from(this.pruneRedundantRolesSet(roles))
   }
 
-  _getParentRolesSet(role: Role): Set<Role> {
+  _getParentRolesSet(role: Role, context?: Context): Set<Role> {
+    if (this._hasResourceInstance(role)) {
+      // Roles for resource instances aren't cached, so that the cache doesn't grow with
+      // every instance id queried.  Instead we start from the cached parent roles of the
+      // role without instance ids, which imply the role for every instance.
+      const typeRole = this._stripResourceInstances(role)
+      const typeParentRoles = new Set(
+        this._getParentRolesSet(typeRole, context)
+      )
+      typeParentRoles.add(typeRole)
+      return this._calcParentRolesSet(
+        role,
+        this._alwaysAllow,
+        typeParentRoles,
+        context
+      )
+    }
+
     let parentRoles: Set<Role> | null | undefined =
       this._childRolesToParentRolesFlattened.get(role)
 
@@ -207,57 +2150,1238 @@ export default class RolesCalc<Role extends string> {
       this._childRolesToParentRolesFlattened.set(role, parentRoles)
     }
 
+    // the cached parent roles only include unconditional relationships
+    if (this._hasConditionalParentRoles(role, parentRoles, context))
+      return this._calcParentRolesSet(
+        role,
+        this._alwaysAllow,
+        parentRoles,
+        context
+      )
     return parentRoles
   }
 
+  /**
+   * Determines if any conditional relationships could add to the given unconditional
+   * parent roles of a role in the given context.
+   */
+  _hasConditionalParentRoles(
+    role: Role,
+    parentRoles: Set<Role>,
+    context: Context | undefined
+  ): boolean {
+    if (context === undefined) return false
+    for (const childRole of this._conditionalChildRolesToParentRoles.keys()) {
+      if (childRole === role || parentRoles.has(childRole)) return true
+    }
+    return false
+  }
+
   getParentRolesSet(role: Role): Set<Role> {
-    return new Set(this._getParentRolesSet(role))
+    return new Set(this._getParentRolesSet(this._resolveAlias(role)))
   }
 
   getRoleAndParentRolesSet(role: Role): Set<Role> {
-    const result = this.getParentRolesSet(role)
+    role = this._resolveAlias(role)
+    const result = new Set(this._getParentRolesSet(role))
     result.add(role)
     return result
   }
 
-  _calcParentRolesSet(role: Role): Set<Role> {
+  /**
+   * Gets the set of known roles that the given role grants.  For example:
+   * rc.role('manager').extends('employee')
+   * rc.getChildRolesSet('manager') -> Set { 'employee' }
+   * rc.getChildRolesSet('site:write') -> Set { 'site:read' } (with writeExtendsRead enabled)
+   *
+   * Since a resource role like 'site' grants every action on the resource, only the
+   * roles and actions that are mentioned in the hierarchy are included.
+   */
+  getChildRolesSet(role: Role): Set<Role> {
+    role = this._resolveAlias(role)
+    const result: Set<Role> = new Set()
+    for (const knownRole of this._getKnownRolesAndPermissionsSet([role])) {
+      if (
+        knownRole !== role &&
+        this._satisfies(role, knownRole, this._getParentRolesSet(knownRole))
+      )
+        result.add(knownRole)
+    }
+    return result
+  }
+
+  /**
+   * Gets the set of known roles that a user with the given actual roles is authorized
+   * for, taking deny rules into account.  Accepts the same options as isAuthorized.
+   */
+  getEffectiveRolesSet(
+    actual: ActualRoles<Role>,
+    options: {
+      context?: Context
+      now?: Date | number
+      scope?: string
+    } = {}
+  ): Set<Role> {
+    const { context, now, scope } = options
+    const actualRoles = this._getActiveRolesSet(actual, now, scope)
+    const deniedRoles = this._getDeniedRolesSet(actualRoles, context)
+    const result: Set<Role> = new Set()
+    for (const knownRole of this._getKnownRolesAndPermissionsSet(actualRoles)) {
+      if (
+        this._isAuthorized({
+          required: knownRole,
+          actual: actualRoles,
+          deniedRoles,
+          context,
+        })
+      )
+        result.add(knownRole)
+    }
+    return result
+  }
+
+  /**
+   * Checks the hierarchy for likely mistakes, for use in startup checks and tests:
+   * - redundantExtends: a relationship that is already implied by other relationships
+   * - extendsAlwaysAllow: a role that extends an alwaysAllow role, and so is authorized
+   *   for every role
+   * - deepChain: a chain of relationships near the inheritance depth limit
+   * - separatorMisuse: a role that was probably meant to be a resource:action role, but
+   *   won't be treated as one
+   */
+  validate(): Array<ValidationFinding<Role>> {
+    const findings: Array<ValidationFinding<Role>> = []
+
+    // relationships in the direction they were defined, including conditional ones
+    const parentRolesToChildRoles: Map<Role, Set<Role>> = new Map()
+    const parentRolesOf = (childRole: Role): Array<Role> => [
+      ...(this._childRolesToParentRoles.get(childRole) || []),
+      ...(this._conditionalChildRolesToParentRoles.get(childRole)?.keys() ||
+        []),
+    ]
+    for (const childRole of [
+      ...this._childRolesToParentRoles.keys(),
+      ...this._conditionalChildRolesToParentRoles.keys(),
+    ]) {
+      for (const parentRole of parentRolesOf(childRole)) {
+        let childRoles = parentRolesToChildRoles.get(parentRole)
+        if (!childRoles) {
+          childRoles = new Set()
+          parentRolesToChildRoles.set(parentRole, childRoles)
+        }
+        childRoles.add(childRole)
+      }
+    }
+
+    for (const [childRole, parentRoles] of this._childRolesToParentRoles) {
+      for (const parentRole of parentRoles) {
+        // check if the parent role is still reached without this relationship
+        this._childRolesToParentRoles.set(
+          childRole,
+          new Set([...parentRoles].filter((role) => role !== parentRole))
+        )
+        const origins: Map<Role, RoleOrigin<Role>> = new Map()
+        let implied = false
+        try {
+          implied = this._calcParentRolesSet(
+            childRole,
+            new Set(),
+            undefined,
+            undefined,
+            origins
+          ).has(parentRole)
+        } catch (error) {
+          // chains that are too deep are reported below
+        } finally {
+          this._childRolesToParentRoles.set(childRole, parentRoles)
+        }
+        if (implied) {
+          const roles = [parentRole]
+          for (
+            let origin = origins.get(parentRole);
+            origin;
+            origin = origins.get(origin.role)
+          ) {
+            roles.push(origin.role)
+          }
+          findings.push({
+            type: 'redundantExtends',
+            message: `${parentRole} extends ${childRole}, which is already implied by ${roles.join(
+              ' > '
+            )}`,
+            roles,
+          })
+        }
+      }
+    }
+
+    for (const [parentRole, childRoles] of parentRolesToChildRoles) {
+      for (const childRole of childRoles) {
+        if (this._alwaysAllow.has(childRole)) {
+          findings.push({
+            type: 'extendsAlwaysAllow',
+            message: `${parentRole} extends ${childRole}, which is always allowed, so ${parentRole} is authorized for every role`,
+            roles: [parentRole, childRole],
+          })
+        }
+      }
+    }
+
+    // the longest chain of roles that extend each role, in the order they extend each other
+    const chains: Map<Role, Array<Role>> = new Map()
+    const longestChain = (role: Role): Array<Role> => {
+      const existing = chains.get(role)
+      if (existing) return existing
+      chains.set(role, [role]) // stops at cycles
+      let longest: Array<Role> = []
+      for (const parentRole of parentRolesOf(role)) {
+        const chain = longestChain(parentRole)
+        if (chain.length > longest.length) longest = chain
+      }
+      const chain = [...longest, role]
+      chains.set(role, chain)
+      return chain
+    }
+    const minWarningDepth =
+      this._inheritanceDepthLimit - DEPTH_LIMIT_WARNING_MARGIN
+    for (const childRoles of parentRolesToChildRoles.values()) {
+      for (const childRole of childRoles) {
+        // only check chains from roles that don't extend any other roles
+        if (parentRolesToChildRoles.has(childRole) || chains.has(childRole))
+          continue
+        const roles = longestChain(childRole)
+        const depth = roles.length - 1
+        if (depth >= minWarningDepth) {
+          findings.push({
+            type: 'deepChain',
+            message: `chain of ${depth} levels is near the inheritance depth limit of ${
+              this._inheritanceDepthLimit
+            }: ${roles.join(' > ')}`,
+            roles,
+          })
+        }
+      }
+    }
+
+    const sep = this._resourceActionSeparator
+    for (const role of this._getKnownRolesSet()) {
+      let problem: string | undefined
+      if (this._resourceActions && role.includes(sep)) {
+        if (!this._resourceActionRegex.test(role))
+          problem = `has an empty resource or action, so it isn't a resource${sep}action role`
+      } else if (this._resourceActions && role.includes(':')) {
+        problem = `contains ':', but the resourceActionSeparator is '${sep}'`
+      } else if (this._scopedRoles && role.includes(SCOPE_SEPARATOR)) {
+        problem = `contains the scope separator ${SCOPE_SEPARATOR}, so it will never match a scoped role`
+      }
+      if (problem) {
+        findings.push({
+          type: 'separatorMisuse',
+          message: `${role} ${problem}`,
+          roles: [role],
+        })
+      }
+    }
+
+    return findings
+  }
+
+  /**
+   * Serializes the options, relationships, deny rules, aliases and definitions to an
+   * object that can be restored with RolesCalc.fromJSON().  Conditional relationships
+   * and the now and onDeprecatedAlias options can't be serialized, so this throws if
+   * there are any conditional relationships.
+   */
+  toJSON(): RolesCalcJSON<Role> {
+    for (const conditionalParentRoles of this._conditionalChildRolesToParentRoles.values()) {
+      if (conditionalParentRoles.size) {
+        throw new Error("conditional relationships can't be serialized")
+      }
+    }
+    const denies: Partial<Record<Role, Array<Role>>> = {}
+    for (const [role, deniedRoles] of [...this._rolesToDeniedRoles].sort(
+      ([a], [b]) => compareStrings(a, b)
+    )) {
+      if (deniedRoles.size) denies[role] = [...deniedRoles].sort(compareStrings)
+    }
+    const aliases: RolesCalcJSON<Role>['aliases'] = {}
+    for (const [alias, { role, deprecated }] of [...this._aliases].sort(
+      ([a], [b]) => compareStrings(a, b)
+    )) {
+      aliases[alias] = { role, deprecated: deprecated || false }
+    }
+    const roles: Partial<Record<Role, RoleDefinition>> = {}
+    for (const [role, definition] of [...this._roleDefinitions].sort(
+      ([a], [b]) => compareStrings(a, b)
+    )) {
+      roles[role] = { ...definition }
+    }
+    const resources: Record<string, ResourceDefinition> = {}
+    for (const [resource, definition] of [...this._resourceDefinitions].sort(
+      ([a], [b]) => compareStrings(a, b)
+    )) {
+      resources[resource] = { ...definition }
+    }
+    return {
+      version: JSON_SCHEMA_VERSION,
+      options: {
+        alwaysAllow: [...this._alwaysAllow].sort(compareStrings),
+        resourceActions: this._resourceActions,
+        writeExtendsRead: this._writeExtendsRead,
+        resourceActionSeparator: this._resourceActionSeparator,
+        wildcards: this._wildcards,
+        resourceInstances: this._resourceInstances,
+        scopedRoles: this._scopedRoles,
+        strict: this._strict,
+        inheritanceDepthLimit: Number.isFinite(this._inheritanceDepthLimit)
+          ? this._inheritanceDepthLimit
+          : null,
+      },
+      hierarchy: relationshipsToJSON(this._childRolesToParentRoles),
+      actionHierarchy: relationshipsToJSON(
+        this._childActionsToParentActions
+      ) as Record<string, Array<string>>,
+      denies,
+      aliases,
+      roles,
+      resources,
+    }
+  }
+
+  /**
+   * Creates a RolesCalc from the output of toJSON() (or a JSON string of it), throwing
+   * a descriptive error if it's malformed.  Options that can't be serialized may be
+   * passed separately.
+   */
+  static fromJSON<Role extends string, Context = any>(
+    json: unknown,
+    opts: {
+      now?: (() => Date | number) | null | undefined
+      onDeprecatedAlias?:
+        | ((alias: Role, role: Role, deprecated: true | string) => unknown)
+        | null
+        | undefined
+    } = {}
+  ): RolesCalc<Role, Context> {
+    if (typeof json === 'string') {
+      try {
+        json = JSON.parse(json)
+      } catch (error) {
+        throw new Error(`invalid RolesCalc JSON: ${(error as Error).message}`)
+      }
+    }
+    const {
+      options,
+      hierarchy,
+      actionHierarchy,
+      denies,
+      aliases,
+      roles,
+      resources,
+    } = checkRolesCalcJSON(json)
+    const rc = new RolesCalc<Role, Context>({
+      ...(options as any),
+      inheritanceDepthLimit: options.inheritanceDepthLimit ?? Infinity,
+      ...opts,
+    })
+    for (const [role, definition] of Object.entries(roles)) {
+      rc.defineRole(role as any, definition as any)
+    }
+    for (const [resource, definition] of Object.entries(resources)) {
+      rc.defineResource(resource, definition as any)
+    }
+    for (const [alias, { role, deprecated }] of Object.entries(
+      aliases
+    ) as Array<[string, { role: string; deprecated: boolean | string }]>) {
+      rc.alias(alias as any, role as any, { deprecated })
+    }
+    for (const [parentAction, childActions] of Object.entries(
+      actionHierarchy
+    )) {
+      rc.action(parentAction).extends(childActions)
+    }
+    for (const [parentRole, childRoles] of Object.entries(hierarchy)) {
+      rc.role(parentRole as any).extends(childRoles as any)
+    }
+    for (const [role, deniedRoles] of Object.entries(denies)) {
+      rc.role(role as any).denies(deniedRoles as any)
+    }
+    return rc
+  }
+
+  /**
+   * Gets a hash of the serialized form of this RolesCalc, which is the same for
+   * equivalent hierarchies regardless of the order they were built in.  This is not
+   * a cryptographic hash; it's meant for cache keys and ETags.
+   */
+  contentHash(): string {
+    return hashString(stableStringify(this.toJSON()))
+  }
+
+  /**
+   * Gets the resource at the root of the given role's resource path, e.g. 'org' for
+   * 'org:site:read', or the role itself if it isn't a resource:action role.
+   */
+  _getRootResource(role: Role): Role {
+    for (
+      let { resource } = this._toResourceAndAction(role);
+      resource;
+      { resource } = this._toResourceAndAction(role)
+    ) {
+      role = resource
+    }
+    return role
+  }
+
+  /**
+   * Gets the roles and relationships to show in a diagram of the hierarchy, sorted so
+   * that the diagram doesn't depend on the order they were defined in.  Each step is
+   * a relationship from a role to a role it implies.
+   */
+  _getDiagram(options: DiagramOptions<Role>): {
+    roles: Array<Role>
+    steps: Array<AuthorizationStep<Role>>
+  } {
+    const { implicit, collapseResources, focus, focusDirection } = options
+    const focusRoles = focus != null ? this.resolveRolesSet(focus) : null
+
+    let roles: Set<Role>
+    if (implicit) {
+      roles = this._getKnownRolesSet(focusRoles || [])
+    } else {
+      roles = new Set([
+        ...(focusRoles || []),
+        ...this._alwaysAllow,
+        ...this._roleDefinitions.keys(),
+      ])
+      this._childRolesToParentRoles.forEach((parentRoles, childRole) => {
+        roles.add(childRole)
+        parentRoles.forEach((parentRole) => roles.add(parentRole))
+      })
+      this._conditionalChildRolesToParentRoles.forEach(
+        (parentRoles, childRole) => {
+          roles.add(childRole)
+          parentRoles.forEach((conditions, parentRole) => roles.add(parentRole))
+        }
+      )
+    }
+
+    const steps: Array<AuthorizationStep<Role>> = []
+    const addStep = (
+      role: Role,
+      implies: Role,
+      reason: AuthorizationStepReason
+    ) => {
+      if (roles.has(role) && roles.has(implies)) {
+        steps.push({ role, implies, reason })
+      }
+    }
+    this._childRolesToParentRoles.forEach((parentRoles, childRole) => {
+      for (const parentRole of parentRoles) {
+        addStep(parentRole, childRole, 'extends')
+      }
+    })
+    this._conditionalChildRolesToParentRoles.forEach(
+      (parentRoles, childRole) => {
+        for (const parentRole of parentRoles.keys()) {
+          addStep(parentRole, childRole, 'conditionalExtends')
+        }
+      }
+    )
+    if (implicit) {
+      for (const role of roles) {
+        const reasons: Map<Role, AuthorizationStepReason> = new Map()
+        this._explodeResourceActionRole(role, reasons)
+        reasons.forEach((reason, impliedBy) => addStep(impliedBy, role, reason))
+        if (this._isWildcardRole(role)) {
+          for (const other of roles) {
+            if (other !== role && this._matchesWildcard(role, other)) {
+              addStep(role, other, 'wildcard')
+            }
+          }
+        }
+      }
+    }
+
+    if (collapseResources) {
+      const collapsed: Set<Role> = new Set()
+      for (const role of roles) collapsed.add(this._getRootResource(role))
+      roles = collapsed
+      for (const step of steps) {
+        step.role = this._getRootResource(step.role)
+        step.implies = this._getRootResource(step.implies)
+      }
+    }
+
+    // remove steps within collapsed resources and duplicate steps, preferring the
+    // first, so that explicit relationships take precedence
+    const stepsByRole: Map<Role, Map<Role, AuthorizationStep<Role>>> = new Map()
+    for (const step of steps) {
+      if (step.role === step.implies) continue
+      let stepsByImplied = stepsByRole.get(step.role)
+      if (!stepsByImplied)
+        stepsByRole.set(step.role, (stepsByImplied = new Map()))
+      if (!stepsByImplied.has(step.implies))
+        stepsByImplied.set(step.implies, step)
+    }
+
+    if (implicit) {
+      // alwaysAllow roles imply the roles that no other roles imply, and thus every role
+      const impliedRoles: Set<Role> = new Set()
+      stepsByRole.forEach((stepsByImplied) =>
+        stepsByImplied.forEach((step, implied) => impliedRoles.add(implied))
+      )
+      for (const alwaysAllowRole of this._alwaysAllow) {
+        if (!roles.has(alwaysAllowRole)) continue
+        const stepsByImplied: Map<
+          Role,
+          AuthorizationStep<Role>
+        > = stepsByRole.get(alwaysAllowRole) || new Map()
+        stepsByRole.set(alwaysAllowRole, stepsByImplied)
+        for (const role of roles) {
+          if (!impliedRoles.has(role) && !this._alwaysAllow.has(role)) {
+            stepsByImplied.set(role, {
+              role: alwaysAllowRole,
+              implies: role,
+              reason: 'alwaysAllow',
+            })
+          }
+        }
+      }
+    }
+
+    if (focusRoles) {
+      const impliedBy: Map<Role, Array<Role>> = new Map()
+      stepsByRole.forEach((stepsByImplied, role) =>
+        stepsByImplied.forEach((step, implied) => {
+          const roles = impliedBy.get(implied)
+          if (roles) roles.push(role)
+          else impliedBy.set(implied, [role])
+        })
+      )
+      const included: Set<Role> = new Set()
+      const include = (next: (role: Role) => Iterable<Role>) => {
+        const queue = [...focusRoles].map((role) =>
+          collapseResources ? this._getRootResource(role) : role
+        )
+        for (const role of queue) {
+          included.add(role)
+          for (const nextRole of next(role)) {
+            if (!included.has(nextRole)) {
+              included.add(nextRole)
+              queue.push(nextRole)
+            }
+          }
+        }
+      }
+      if (focusDirection !== 'descendants') {
+        include((role) => impliedBy.get(role) || [])
+      }
+      if (focusDirection !== 'ancestors') {
+        include((role) => stepsByRole.get(role)?.keys() || [])
+      }
+      roles = included
+    }
+
+    const result: Array<AuthorizationStep<Role>> = []
+    stepsByRole.forEach((stepsByImplied) =>
+      stepsByImplied.forEach((step) => {
+        if (roles.has(step.role) && roles.has(step.implies)) result.push(step)
+      })
+    )
+    return {
+      roles: [...roles].sort(compareStrings),
+      steps: result.sort(
+        (a, b) =>
+          compareStrings(a.role, b.role) || compareStrings(a.implies, b.implies)
+      ),
+    }
+  }
+
+  /**
+   * Creates a Graphviz DOT graph of the hierarchy, with an edge from each role to each
+   * role it extends.  Unless the implicit option is false, relationships that are
+   * implied by resource:action roles, the action hierarchy, wildcards and alwaysAllow
+   * roles are included as dotted edges labeled with the reason.  Conditional
+   * relationships are dashed, and alwaysAllow roles have a double border.  The output
+   * is sorted, so it only changes when the hierarchy does.
+   */
+  toDot(options: DotOptions<Role> = {}): string {
+    const { roles, steps } = this._getDiagram({
+      ...options,
+      implicit: options.implicit ?? true,
+    })
+    const nodeLine = (role: Role, indent: string) =>
+      `${indent}${dotId(role)}${
+        this._alwaysAllow.has(role) ? ' [peripheries=2]' : ''
+      }`
+
+    const lines = ['digraph roles {', '  node [shape=box]']
+    const rolesByResource: Map<Role, Array<Role>> = new Map()
+    for (const role of roles) {
+      const resource = options.clusterByResource
+        ? this._getRootResource(role)
+        : role
+      const resourceRoles = rolesByResource.get(resource)
+      if (resourceRoles) resourceRoles.push(role)
+      else rolesByResource.set(resource, [role])
+    }
+    for (const [resource, resourceRoles] of rolesByResource) {
+      if (resourceRoles.length > 1) {
+        lines.push(
+          `  subgraph ${dotId(`cluster_${resource}`)} {`,
+          `    label=${dotId(resource)}`,
+          ...resourceRoles.map((role) => nodeLine(role, '    ')),
+          '  }'
+        )
+      }
+    }
+    for (const resourceRoles of rolesByResource.values()) {
+      if (resourceRoles.length === 1)
+        lines.push(nodeLine(resourceRoles[0], '  '))
+    }
+    for (const { role, implies, reason } of steps) {
+      const attributes =
+        reason === 'extends'
+          ? ''
+          : reason === 'conditionalExtends'
+          ? ' [style=dashed, label="when"]'
+          : ` [style=dotted, label=${dotId(reason)}]`
+      lines.push(`  ${dotId(role)} -> ${dotId(implies)}${attributes}`)
+    }
+    lines.push('}')
+    return lines.join('\n') + '\n'
+  }
+  /**
+   * Creates a Mermaid flowchart of the hierarchy, with an edge from each role to each
+   * role it extends.  If the implicit option is true, relationships that are implied by
+   * resource:action roles, the action hierarchy, wildcards and alwaysAllow roles are
+   * included as dotted edges labeled with the reason.  Conditional relationships are
+   * dotted edges labeled "when", and alwaysAllow roles have the alwaysAllow class.
+   */
+  toMermaid(options: MermaidOptions<Role> = {}): string {
+    const { roles, steps } = this._getDiagram(options)
+    const ids: Map<Role, string> = new Map()
+    const lines = [`flowchart ${options.direction || 'TB'}`]
+    roles.forEach((role, index) => {
+      const id = `r${index}`
+      ids.set(role, id)
+      lines.push(`  ${id}[${mermaidLabel(role)}]`)
+    })
+    for (const { role, implies, reason } of steps) {
+      const arrow =
+        reason === 'extends'
+          ? '-->'
+          : reason === 'conditionalExtends'
+          ? '-.->|when|'
+          : `-.->|${reason}|`
+      lines.push(
+        `  ${String(ids.get(role))} ${arrow} ${String(ids.get(implies))}`
+      )
+    }
+    const alwaysAllowIds = roles
+      .filter((role) => this._alwaysAllow.has(role))
+      .map((role) => ids.get(role))
+    if (alwaysAllowIds.length) {
+      lines.push(
+        '  classDef alwaysAllow stroke-width:3px',
+        `  class ${alwaysAllowIds.join(',')} alwaysAllow`
+      )
+    }
+    return lines.join('\n') + '\n'
+  }
+  /**
+   * Converts the hierarchy to a Casbin RBAC policy in CSV format, for a model with a
+   * g = _, _ role definition and a matcher like
+   * g(r.sub, p.sub) && r.obj == p.obj && r.act == p.act.  Relationships between roles
+   * become g lines, and every resource:action role a role grants but the roles it
+   * extends don't becomes a p line, so the policy gives the same answers as
+   * isAuthorized for the roles the calculator knows about.  Conditional relationships,
+   * deny rules and wildcard roles can't be represented, so they are listed in
+   * unsupported.
+   */
+  toCasbinPolicy(): CasbinPolicy {
+    const unsupported: Array<string> = []
+    this._conditionalChildRolesToParentRoles.forEach((parentRoles, childRole) =>
+      parentRoles.forEach((conditions, parentRole) =>
+        unsupported.push(
+          `conditional relationship: ${parentRole} extends ${childRole}`
+        )
+      )
+    )
+    this._rolesToDeniedRoles.forEach((deniedRoles, role) =>
+      deniedRoles.forEach((deniedRole) =>
+        unsupported.push(`deny rule: ${role} denies ${deniedRole}`)
+      )
+    )
+
+    const subjects: Set<Role> = new Set()
+    const permissions: Set<Role> = new Set()
+    for (const role of [...this._getKnownRolesSet()].sort(compareStrings)) {
+      if (this._isWildcardRole(role)) unsupported.push(`wildcard role: ${role}`)
+      else if (this._toResourceAndAction(role).resource) permissions.add(role)
+      else subjects.add(role)
+    }
+
+    const childSubjects: Map<Role, Set<Role>> = new Map()
+    const impliedSubjects: Set<Role> = new Set()
+    const addChildSubject = (role: Role, childRole: Role) => {
+      let children = childSubjects.get(role)
+      if (!children) childSubjects.set(role, (children = new Set()))
+      children.add(childRole)
+      impliedSubjects.add(childRole)
+    }
+    this._childRolesToParentRoles.forEach((parentRoles, childRole) => {
+      if (!subjects.has(childRole)) return
+      for (const parentRole of parentRoles) {
+        if (subjects.has(parentRole)) addChildSubject(parentRole, childRole)
+        else if (permissions.has(parentRole)) {
+          unsupported.push(`relationship: ${parentRole} extends ${childRole}`)
+        }
+      }
+    })
+    // alwaysAllow roles have every role that no other role extends
+    for (const alwaysAllowRole of this._alwaysAllow) {
+      for (const subject of subjects) {
+        if (!impliedSubjects.has(subject) && !this._alwaysAllow.has(subject)) {
+          addChildSubject(alwaysAllowRole, subject)
+        }
+      }
+    }
+
+    const policyLines: Array<string> = []
+    const groupingLines: Array<string> = []
+    const grantedPermissions = (role: Role): Set<Role> => {
+      const result: Set<Role> = new Set()
+      for (const childRole of this.getChildRolesSet(role)) {
+        if (permissions.has(childRole)) result.add(childRole)
+      }
+      return result
+    }
+    for (const subject of subjects) {
+      const granted = grantedPermissions(subject)
+      const children = [...(childSubjects.get(subject) || [])].sort(
+        compareStrings
+      )
+      for (const childRole of children) {
+        groupingLines.push(`g, ${csvField(subject)}, ${csvField(childRole)}`)
+        for (const permission of grantedPermissions(childRole)) {
+          granted.delete(permission)
+        }
+      }
+      for (const permission of [...granted].sort(compareStrings)) {
+        const { resource, action } = this._toResourceAndAction(permission)
+        policyLines.push(
+          `p, ${csvField(subject)}, ${csvField(resource || '')}, ${csvField(
+            action || ''
+          )}`
+        )
+      }
+    }
+    return {
+      policy: [...policyLines, ...groupingLines]
+        .map((line) => `${line}\n`)
+        .join(''),
+      unsupported,
+    }
+  }
+
+  /**
+   * Adds the rules in a Casbin RBAC policy in CSV format to the hierarchy.
+   * g, role, otherRole lines become rc.role(role).extends(otherRole), and
+   * p, role, resource, action lines become rc.role(role).extends('resource:action'),
+   * or rc.role(role).denies('resource:action') if their effect is deny.  Returns
+   * descriptions of the lines that couldn't be represented or applied, like
+   * relationships that would create a cycle, which are skipped.
+   */
+  importCasbinPolicy(policy: string): Array<string> {
+    const unsupported: Array<string> = []
+    policy.split(/\r?\n/).forEach((line, index) => {
+      line = line.trim()
+      if (!line || line.startsWith('#')) return
+      const [type, ...fields] = parseCasbinLine(line)
+      const skip = (reason: string) =>
+        unsupported.push(`line ${index + 1}: ${reason}: ${line}`)
+      if (fields.some((field) => !field)) return skip('empty field')
+      // apply the rule, or skip it if it's invalid, like a relationship that would
+      // create a cycle or an unknown role in strict mode
+      const apply = (rule: () => unknown) => {
+        try {
+          rule()
+        } catch (error) {
+          if (!(error instanceof Error)) throw error
+          skip(error.message)
+        }
+      }
+      if (type === 'g') {
+        if (fields.length > 2) return skip("domains aren't supported")
+        if (fields.length < 2) return skip('expected g, role, role')
+        const [role, childRole] = fields as Array<any>
+        apply(() => this.role(role).extends(childRole))
+      } else if (type === 'p') {
+        if (fields.length < 3 || fields.length > 4) {
+          return skip('expected p, role, resource, action')
+        }
+        const [role, resource, action, effect = 'allow'] = fields
+        const permission: any = `${resource}${this._resourceActionSeparator}${action}`
+        if (effect === 'allow')
+          apply(() => this.role(role as any).extends(permission))
+        else if (effect === 'deny')
+          apply(() => this.role(role as any).denies(permission))
+        else skip(`unknown effect ${effect}`)
+      } else {
+        skip(`${type} rules aren't supported`)
+      }
+    })
+    return unsupported
+  }
+  /**
+   * Converts the hierarchy to an Open Policy Agent data document with the flattened
+   * closure of every known role, and a Rego module that implements isAuthorized with
+   * it, including deny rules, aliases, alwaysAllow roles and the resource:action rules.
+   * The Rego module's authorized rule takes input.required and input.actual, which may
+   * be roles or arrays of roles.  Conditional relationships and wildcard roles can't be
+   * represented, so they are listed in unsupported.
+   */
+  toOpa(
+    options: {
+      /** the package of the Rego module, defaults to 'roles_calc' */
+      package?: string | null | undefined
+      /** the path of the hierarchy in the data document, defaults to 'roles_calc_data' */
+      dataPath?: string | null | undefined
+    } = {}
+  ): OpaBundle {
+    const packageName = options.package || 'roles_calc'
+    const dataPath = options.dataPath || 'roles_calc_data'
+    const unsupported: Array<string> = []
+    this._conditionalChildRolesToParentRoles.forEach((parentRoles, childRole) =>
+      parentRoles.forEach((conditions, parentRole) =>
+        unsupported.push(
+          `conditional relationship: ${parentRole} extends ${childRole}`
+        )
+      )
+    )
+
+    const closure: Partial<Record<Role, Array<Role>>> = {}
+    for (const role of [...this._getKnownRolesSet()].sort(compareStrings)) {
+      if (this._isWildcardRole(role)) {
+        unsupported.push(`wildcard role: ${role}`)
+        continue
+      }
+      closure[role] = [...this.getRoleAndParentRolesSet(role)]
+        .filter((parentRole) => !this._isWildcardRole(parentRole))
+        .sort(compareStrings)
+    }
+
+    const aliases: Partial<Record<Role, Role>> = {}
+    for (const alias of [...this._aliases.keys()].sort(compareStrings)) {
+      let role = alias
+      for (
+        let next = this._aliases.get(role);
+        next;
+        next = this._aliases.get(role)
+      ) {
+        role = next.role
+      }
+      aliases[alias] = role
+    }
+
+    const parentRoles: OpaHierarchy<Role>['parent_roles'] = {}
+    for (const [childRole, roles] of [...this._childRolesToParentRoles].sort(
+      ([a], [b]) => compareStrings(a, b)
+    )) {
+      if (this._isWildcardRole(childRole)) continue
+      const nonWildcardRoles = [...roles].filter(
+        (role) => !this._isWildcardRole(role)
+      )
+      if (nonWildcardRoles.length)
+        parentRoles[childRole] = nonWildcardRoles.sort(compareStrings)
+    }
+
+    const actionParents: Record<string, Array<string>> = {}
+    for (const action of [...this._childActionsToParentActions.keys()].sort(
+      compareStrings
+    )) {
+      const parentActions: Set<string> = new Set()
+      const queue = [action]
+      for (const childAction of queue) {
+        for (const parentAction of this._childActionsToParentActions.get(
+          childAction
+        ) || []) {
+          if (!parentActions.has(parentAction)) {
+            parentActions.add(parentAction)
+            queue.push(parentAction)
+          }
+        }
+      }
+      actionParents[action] = [...parentActions].sort(compareStrings)
+    }
+
+    const denies: OpaHierarchy<Role>['denies'] = {}
+    for (const [role, deniedRoles] of [...this._rolesToDeniedRoles].sort(
+      ([a], [b]) => compareStrings(a, b)
+    )) {
+      if (!deniedRoles.size) continue
+      denies[role] = {
+        holders: [role, ...this._getHolderRolesSet(role)].sort(compareStrings),
+        denied: [...deniedRoles].sort(compareStrings),
+      }
+    }
+
+    const deniedHolders: OpaHierarchy<Role>['denied_holders'] = {}
+    const allDeniedRoles: Set<Role> = new Set()
+    this._rolesToDeniedRoles.forEach((deniedRoles) =>
+      deniedRoles.forEach((deniedRole) => allDeniedRoles.add(deniedRole))
+    )
+    for (const deniedRole of [...allDeniedRoles].sort(compareStrings)) {
+      deniedHolders[deniedRole] = [...this._getHolderRolesSet(deniedRole)].sort(
+        compareStrings
+      )
+    }
+
+    const sep = escapeRegExp(this._resourceActionSeparator)
+    const hierarchy: OpaHierarchy<Role> = {
+      separator: this._resourceActionSeparator,
+      resource_actions: this._resourceActions,
+      resource_instances: this._resourceInstances,
+      instance_pattern: `${escapeRegExp(
+        RESOURCE_INSTANCE_SEPARATOR
+      )}[^${sep}]*`,
+      always_allow: [...this._alwaysAllow].sort(compareStrings),
+      aliases,
+      action_parents: actionParents,
+      parent_roles: parentRoles,
+      closure,
+      denies,
+      denied_holders: deniedHolders,
+    }
+    return {
+      data: dataPath
+        .split('.')
+        .reduceRight(
+          (value: { [key: string]: unknown }, key) => ({ [key]: value }),
+          hierarchy
+        ),
+      rego: opaRegoModule(packageName, dataPath),
+      unsupported,
+    }
+  }
+
+  /**
+   * Computes which roles grant which permissions, the way isAuthorized would for a
+   * user with only that role, including deny rules.  The roles default to every known
+   * role, and the permissions to the resource:action roles mentioned in relationships,
+   * deny rules and the actions of defined resources.
+   * If a context is given, conditional relationships whose condition returns true for it
+   * apply.  Render the result with permissionMatrixToCSV or permissionMatrixToMarkdown.
+   */
+  permissionMatrix(
+    options: {
+      roles?: Roles<Role> | null | undefined
+      permissions?: Roles<Role> | null | undefined
+      context?: Context
+    } = {}
+  ): PermissionMatrix<Role> {
+    const { context } = options
+    const knownRoles = [...this._getKnownRolesSet()].sort(compareStrings)
+    const roles = options.roles
+      ? [...rolesToIterable(options.roles)]
+      : knownRoles
+    const permissions = options.permissions
+      ? [...rolesToIterable(options.permissions)]
+      : [...this._getMentionedPermissionsSet()].sort(compareStrings)
+    if (this._strict) this._assertKnownRoles([...roles, ...permissions])
+
+    const isDirect = (role: Role, permission: Role): boolean => {
+      if (role === permission) return true
+      if (this._childRolesToParentRoles.get(permission)?.has(role)) return true
+      if (context === undefined) return false
+      const conditions = this._conditionalChildRolesToParentRoles
+        .get(permission)
+        ?.get(role)
+      return (
+        conditions != null && conditions.some((condition) => condition(context))
+      )
+    }
+    const resolvedPermissions = permissions.map((permission) =>
+      this._resolveAlias(permission)
+    )
+    const grants = roles.map((role) => {
+      const actual = this._resolveAlias(role)
+      const deniedRoles = this._getDeniedRolesSet([actual], context)
+      return resolvedPermissions.map((permission): PermissionGrant | null => {
+        if (
+          !this._isAuthorized({
+            required: permission,
+            actual: [actual],
+            deniedRoles,
+            context,
+          })
+        )
+          return null
+        return isDirect(actual, permission) ? 'direct' : 'inherited'
+      })
+    })
+    return { roles, permissions, grants }
+  }
+
+  /**
+   * Gets the resource:action roles mentioned in relationships, deny rules and the
+   * actions of defined resources, except for wildcard roles and resource paths like
+   * 'org:site' that are mentioned as the resource of another role.
+   */
+  _getMentionedPermissionsSet(): Set<Role> {
+    const mentioned: Set<Role> = new Set()
+    const add = (role: Role) => {
+      mentioned.add(role)
+    }
+    this._childRolesToParentRoles.forEach((parentRoles, childRole) => {
+      add(childRole)
+      parentRoles.forEach(add)
+    })
+    this._conditionalChildRolesToParentRoles.forEach(
+      (parentRoles, childRole) => {
+        add(childRole)
+        parentRoles.forEach((conditions, parentRole) => add(parentRole))
+      }
+    )
+    this._rolesToDeniedRoles.forEach((deniedRoles, role) => {
+      add(role)
+      deniedRoles.forEach(add)
+    })
+    this._resourceDefinitions.forEach(({ actions }, resource) => {
+      if (actions) {
+        for (const action of actions) {
+          add(`${resource}${this._resourceActionSeparator}${action}` as any)
+        }
+      }
+    })
+
+    const resources: Set<Role> = new Set()
+    for (const role of mentioned) {
+      let { resource } = this._toResourceAndAction(role)
+      while (resource) {
+        resources.add(resource)
+        resource = this._toResourceAndAction(resource).resource
+      }
+    }
+    const result: Set<Role> = new Set()
+    for (const role of mentioned) {
+      if (
+        !this._isWildcardRole(role) &&
+        !resources.has(role) &&
+        this._toResourceAndAction(role).resource
+      )
+        result.add(role)
+    }
+    return result
+  }
+
+  /**
+   * Gets the given roles, defined roles, defined resources and their resource:action
+   * roles, alwaysAllow roles and every role mentioned in a relationship or deny rule.
+   */
+  _getKnownRolesSet(roles: Iterable<Role> = []): Set<Role> {
+    const known: Set<Role> = new Set(roles)
+    const add = (role: Role) => {
+      known.add(role)
+    }
+    this._roleDefinitions.forEach((definition, role) => add(role))
+    this._resourceDefinitions.forEach(({ actions }, resource) => {
+      add(resource as any)
+      if (actions) {
+        for (const action of actions) {
+          add(`${resource}${this._resourceActionSeparator}${action}` as any)
+        }
+      }
+    })
+    this._childRolesToParentRoles.forEach((parentRoles, childRole) => {
+      add(childRole)
+      parentRoles.forEach(add)
+    })
+    this._conditionalChildRolesToParentRoles.forEach(
+      (parentRoles, childRole) => {
+        add(childRole)
+        parentRoles.forEach((conditions, parentRole) => add(parentRole))
+      }
+    )
+    this._rolesToDeniedRoles.forEach((deniedRoles, role) => {
+      add(role)
+      deniedRoles.forEach(add)
+    })
+    this._alwaysAllow.forEach(add)
+    return known
+  }
+
+  /**
+   * Gets the known roles, and with resourceActions enabled, every combination of the
+   * resources and actions they mention, except for defined resources.  A resource role
+   * like 'site' grants every action on the resource, so these are the roles it can be
+   * said to grant.
+   */
+  _getKnownRolesAndPermissionsSet(roles: Iterable<Role> = []): Set<Role> {
+    const known = this._getKnownRolesSet(roles)
+    const add = (role: Role) => {
+      known.add(role)
+    }
+    if (this._resourceActions) {
+      const resources: Set<Role> = new Set()
+      const actions: Set<string> = new Set()
+      this._childActionsToParentActions.forEach(
+        (parentActions, childAction) => {
+          actions.add(childAction)
+          parentActions.forEach((action) => actions.add(action))
+        }
+      )
+      for (const role of known) {
+        if (this._isWildcardRole(role)) continue
+        const resourceAndAction = this._toResourceAndAction(role)
+        let { resource } = resourceAndAction
+        // the actions of defined resources don't apply to other resources
+        if (
+          resourceAndAction.action &&
+          !(resource && this._resourceDefinitions.has(resource))
+        )
+          actions.add(resourceAndAction.action)
+        // parent resources of a resource path, e.g. 'org' for 'org:site'
+        while (resource) {
+          resources.add(resource)
+          resource = this._toResourceAndAction(resource).resource
+        }
+      }
+      for (const resource of resources) {
+        // defined resources only have the actions they were defined with
+        if (this._resourceDefinitions.has(resource)) continue
+        add(resource)
+        for (const action of actions) {
+          add(`${resource}${this._resourceActionSeparator}${action}` as any)
+        }
+      }
+    }
+    return known
+  }
+
+  /**
+   * @param role the role to calculate parent roles of
+   * @param alwaysAllow the alwaysAllow roles to include
+   * @param knownParentRoles a set of parent roles that is already closed under
+   * unconditional inheritance, and won't be walked again
+   * @param context if given, conditional relationships whose condition returns true
+   * for the context are included
+   * @param origins if given, is populated with the role each parent role was reached
+   * from and why
+   */
+  _calcParentRolesSet(
+    role: Role,
+    alwaysAllow: Set<Role> = this._alwaysAllow,
+    knownParentRoles?: Set<Role>,
+    context?: Context,
+    origins?: Map<Role, RoleOrigin<Role>>
+  ): Set<Role> {
     const { action } = this._toResourceAndAction(role)
 
-    const roles: Set<Role> = new Set(this._alwaysAllow)
+    const roles: Set<Role> = new Set(alwaysAllow)
     roles.add(role)
+    if (origins) {
+      for (const alwaysAllowRole of alwaysAllow) {
+        if (alwaysAllowRole !== role)
+          origins.set(alwaysAllowRole, { role, reason: 'alwaysAllow' })
+      }
+    }
     let addedRoles: Set<Role> = new Set(roles)
-    let sanityCount = INHERITANCE_DEPTH_LIMIT + 1
+    if (knownParentRoles) {
+      knownParentRoles.forEach((knownRole) => {
+        roles.add(knownRole)
+        // known roles with conditional relationships still need to be walked
+        if (
+          context !== undefined &&
+          this._conditionalChildRolesToParentRoles.has(knownRole)
+        )
+          addedRoles.add(knownRole)
+      })
+    }
+    const conditionResults: Map<RoleCondition<Context>, boolean> = new Map()
+    const test = (condition: RoleCondition<Context>): boolean => {
+      let result = conditionResults.get(condition)
+      if (result === undefined) {
+        result = Boolean(condition(context as any))
+        conditionResults.set(condition, result)
+      }
+      return result
+    }
+    let sanityCount = this._inheritanceDepthLimit + 1
 
     while (addedRoles.size) {
       if (!sanityCount--)
-        throw new Error(
-          `could not flatten roles: inheritance depth of ${INHERITANCE_DEPTH_LIMIT} levels was exceeded`
-        )
+        throw new InheritanceDepthError(role, this._inheritanceDepthLimit)
       const addedRolesThisPass: Set<Role> = new Set()
 
       for (const addedRole of addedRoles) {
-        const addIfNotPresent = (role: any) => {
+        const addIfNotPresent = (
+          role: any,
+          reason: AuthorizationStepReason,
+          from: Role = addedRole
+        ) => {
           if (!roles.has(role)) {
             addedRolesThisPass.add(role)
             roles.add(role)
+            if (origins) origins.set(role, { role: from, reason })
           }
         } // process 'resource:write' > 'resource:read' and 'resource' > 'resource:action' inheritances
 
-        this._explodeResourceActionRole(addedRole).forEach(addIfNotPresent) // process inheritance links added by calls to rc.role('foo').extends('bar')
+        const reasons: Map<Role, AuthorizationStepReason> | undefined = origins
+          ? new Map()
+          : undefined
+        for (const explodedRole of this._explodeResourceActionRole(
+          addedRole,
+          reasons
+        )) {
+          addIfNotPresent(explodedRole, reasons?.get(explodedRole) as any)
+        } // process wildcard roles such as '*:read' that have been extended by other roles
+
+        for (const wildcardRole of this._wildcardRoles) {
+          if (this._matchesWildcard(wildcardRole, addedRole))
+            addIfNotPresent(wildcardRole, 'wildcard')
+        } // process inheritance links added by calls to rc.role('foo').extends('bar')
+
+        const addParentRole = (
+          parentRole: Role,
+          reason: AuthorizationStepReason
+        ) => {
+          addIfNotPresent(parentRole, reason)
+          if (action && !this._toResourceAndAction(parentRole).action) {
+            // This is a parent > child relationship, and we're looking for a child:action
+            // permission. In this case, parent:action > child:action
+            const childActionRole: any = `${addedRole}${this._resourceActionSeparator}${action}`
+            addIfNotPresent(
+              `${parentRole}${this._resourceActionSeparator}${action}`,
+              'parentAction',
+              roles.has(childActionRole) ? childActionRole : addedRole
+            )
+          }
+        }
 
         const userConfiguredParentRoles: Set<Role> | null | undefined =
           this._childRolesToParentRoles.get(addedRole)
 
         if (userConfiguredParentRoles) {
-          userConfiguredParentRoles.forEach((parentRole: Role) => {
-            addIfNotPresent(parentRole)
-            if (action && !this._toResourceAndAction(parentRole).action) {
-              // This is a parent > child relationship, and we're looking for a child:action
-              // permission. In this case, parent:action > child:action
-              addIfNotPresent(
-                `${parentRole}${this._resourceActionSeparator}${action}`
-              )
-            }
+          for (const parentRole of userConfiguredParentRoles) {
+            addParentRole(parentRole, 'extends')
+          }
+        } // process inheritance links added by calls to rc.role('foo').extends('bar').when(condition)
+
+        const conditionalParentRoles:
+          | Map<Role, Array<RoleCondition<Context>>>
+          | null
+          | undefined =
+          context !== undefined
+            ? this._conditionalChildRolesToParentRoles.get(addedRole)
+            : null
+
+        if (conditionalParentRoles) {
+          conditionalParentRoles.forEach((conditions, parentRole) => {
+            if (conditions.some(test))
+              addParentRole(parentRole, 'conditionalExtends')
           })
         }
       }
@@ -276,24 +3400,104 @@ export default class RolesCalc<Role extends string> {
    * explodeResourceActionRole('site:read') -> 'site:write', 'site'
    * explodeResourceActionRole('site:write') -> 'site'
    *
+   * Actions on a parent resource imply the same actions on its child resources:
+   *
+   * explodeResourceActionRole('org:site:read') -> 'org:site', 'org:read', 'org:site:write'
+   *
    * @param role input role
+   * @param reasons if given, is populated with why each role satisfies the input role
    * @returns Set of roles that would satisfy the requirement of the input role
    */
 
-  _explodeResourceActionRole(role: Role): Set<Role> {
+  _explodeResourceActionRole(
+    role: Role,
+    reasons?: Map<Role, AuthorizationStepReason>
+  ): Set<Role> {
     const result: Set<Role> = new Set()
+    const add = (role: any, reason: AuthorizationStepReason) => {
+      result.add(role)
+      if (reasons && !reasons.has(role)) reasons.set(role, reason)
+    }
 
     const { resource, action } = this._toResourceAndAction(role)
 
     if (resource && action) {
-      result.add(resource as any)
-      if (this._writeExtendsRead && 'read' === (action as any))
-        result.add(`${resource}${this._resourceActionSeparator}write` as any)
+      add(resource, 'resourceImpliesAction')
+      const { resource: parentResource } = this._toResourceAndAction(resource)
+      if (parentResource)
+        add(
+          `${parentResource}${this._resourceActionSeparator}${action}`,
+          'parentResource'
+        )
+      const parentActions = this._childActionsToParentActions.get(action)
+      if (parentActions) {
+        for (const parentAction of parentActions) {
+          add(
+            `${resource}${this._resourceActionSeparator}${parentAction}`,
+            this._writeExtendsRead &&
+              parentAction === 'write' &&
+              action === 'read'
+              ? 'writeExtendsRead'
+              : 'actionHierarchy'
+          )
+        }
+      }
+    }
+
+    if (this._resourceInstances) {
+      // 'site/42:read' is implied by 'site:read', 'org/1:site' by 'org:site', etc.
+      const segments = role.split(this._resourceActionSeparator)
+      segments.forEach((segment, index) => {
+        const instanceIndex = segment.indexOf(RESOURCE_INSTANCE_SEPARATOR)
+        if (instanceIndex > 0) {
+          const typeSegments = [...segments]
+          typeSegments[index] = segment.substring(0, instanceIndex)
+          add(
+            typeSegments.join(this._resourceActionSeparator),
+            'resourceInstance'
+          )
+        }
+      })
     }
 
     return result
   }
 
+  _hasResourceInstance(role: Role): boolean {
+    return this._resourceInstances && role.includes(RESOURCE_INSTANCE_SEPARATOR)
+  }
+
+  _stripResourceInstances(role: Role): Role {
+    return role
+      .split(this._resourceActionSeparator)
+      .map((segment) => segment.split(RESOURCE_INSTANCE_SEPARATOR)[0])
+      .join(this._resourceActionSeparator) as any
+  }
+
+  _isWildcardRole(role: Role): boolean {
+    return this._wildcards && role.includes('*')
+  }
+
+  /**
+   * Determines if a wildcard role matches the given role.  A '*' matches any sequence
+   * of characters within a single resource or action when resourceActions is enabled,
+   * or any sequence of characters otherwise.  If the given role is itself a wildcard
+   * role, it matches when it is as or more specific than the wildcard role.
+   */
+  _matchesWildcard(wildcardRole: Role, role: Role): boolean {
+    let regExp = this._wildcardRegExps.get(wildcardRole)
+    if (!regExp) {
+      const star = this._resourceActions
+        ? `[^${escapeRegExp(this._resourceActionSeparator)}]*`
+        : '.*'
+      regExp = new RegExp(
+        `^${wildcardRole.split('*').map(escapeRegExp).join(star)}$`
+      )
+      this._wildcardRegExps.set(wildcardRole, regExp)
+    }
+    return regExp.test(role)
+  }
+
   _toResourceAndAction(role: Role): {
     resource: Role | null | undefined
     action: Role | null | undefined
@@ -1,6 +1,15 @@
 import { describe, it } from 'mocha'
 import { expect } from 'chai'
-import RolesCalc, { rolesToObject, INHERITANCE_DEPTH_LIMIT } from '../src'
+import RolesCalc, {
+  rolesToObject,
+  INHERITANCE_DEPTH_LIMIT,
+  InheritanceCycleError,
+  InheritanceDepthError,
+  JSON_SCHEMA_VERSION,
+  permissionMatrixToCSV,
+  permissionMatrixToMarkdown,
+  OpaHierarchy,
+} from '../src'
 
 describe('rolesToObject', () => {
   it('throws for falsy values', () => {
@@ -80,6 +89,2695 @@ describe('RolesCalc', () => {
       expect(rc.getRoleAndParentRolesSet('foo').has('foo')).to.be.true
     })
   })
+  describe('getChildRolesSet', () => {
+    it('includes roles granted through inheritance', () => {
+      const rc = new RolesCalc()
+      rc.role('owner').extends('manager')
+      rc.role('manager').extends('employee')
+      expect(rc.getChildRolesSet('owner')).to.deep.equal(
+        new Set(['manager', 'employee'])
+      )
+      expect(rc.getChildRolesSet('employee')).to.deep.equal(new Set())
+    })
+    it('includes resource:action roles mentioned in the hierarchy', () => {
+      const rc = new RolesCalc({
+        resourceActions: true,
+        writeExtendsRead: true,
+      })
+      rc.role('manager').extends(['site', 'reports:read'])
+      rc.role('auditor').extends('site:read')
+      rc.action('delete').extends('write')
+      expect(rc.getChildRolesSet('manager')).to.deep.equal(
+        new Set([
+          'site',
+          'reports:read',
+          'site:read',
+          'site:delete',
+          'site:write',
+        ])
+      )
+      expect(rc.getChildRolesSet('site:delete')).to.deep.equal(
+        new Set(['site:read', 'site:write'])
+      )
+      expect(rc.getChildRolesSet('reports:write')).to.deep.equal(
+        new Set(['reports:read'])
+      )
+    })
+    it('includes child resources of resource paths', () => {
+      const rc = new RolesCalc({ resourceActions: true })
+      rc.role('admin').extends('org:site:read')
+      expect(rc.getChildRolesSet('org')).to.deep.equal(
+        new Set(['org:site:read', 'org:site', 'org:read'])
+      )
+    })
+    it('includes every known role for alwaysAllow roles', () => {
+      const rc = new RolesCalc<string>({ alwaysAllow: 'admin' })
+      rc.role('manager').extends('employee')
+      expect(rc.getChildRolesSet('admin')).to.deep.equal(
+        new Set(['employee', 'manager'])
+      )
+    })
+  })
+  describe('getEffectiveRolesSet', () => {
+    it('includes actual roles and the roles they grant', () => {
+      const rc = new RolesCalc({
+        resourceActions: true,
+        writeExtendsRead: true,
+      })
+      rc.role('manager').extends(['employee', 'site:write'])
+      expect(rc.getEffectiveRolesSet(['manager', 'other'])).to.deep.equal(
+        new Set(['manager', 'other', 'employee', 'site:write', 'site:read'])
+      )
+    })
+    it('excludes denied roles', () => {
+      const rc = new RolesCalc({ resourceActions: true })
+      rc.role('employee').extends('billing')
+      rc.role('contractor').extends('employee')
+      rc.role('contractor').denies('billing:write')
+      expect(rc.getEffectiveRolesSet('contractor')).to.deep.equal(
+        new Set(['contractor', 'employee'])
+      )
+    })
+    it('accepts the same options as isAuthorized', () => {
+      const rc = new RolesCalc({ scopedRoles: true })
+      rc.role('manager').extends('employee')
+      expect(
+        rc.getEffectiveRolesSet(['manager@org/1'], { scope: 'org/2' })
+      ).to.deep.equal(new Set())
+      expect(
+        rc.getEffectiveRolesSet(['manager@org/1'], { scope: 'org/1' })
+      ).to.deep.equal(new Set(['manager', 'employee']))
+    })
+  })
+  describe('role catalog', () => {
+    it('lists defined roles with their metadata', () => {
+      const rc = new RolesCalc()
+      rc.defineRole('owner', {
+        label: 'Owner',
+        description: 'Owns the organization',
+        tags: ['billing'],
+        sensitive: true,
+      })
+      rc.defineRole('mgr', { deprecated: 'use manager instead' })
+      rc.role('owner').extends('manager')
+      expect(rc.listRoles()).to.deep.equal([
+        {
+          role: 'owner',
+          label: 'Owner',
+          description: 'Owns the organization',
+          tags: ['billing'],
+          sensitive: true,
+        },
+        { role: 'mgr', deprecated: 'use manager instead' },
+        { role: 'manager' },
+      ])
+    })
+    it('replaces previous definitions', () => {
+      const rc = new RolesCalc()
+      rc.defineRole('owner', { label: 'Owner' })
+      rc.defineRole('owner', { description: 'Owns the organization' })
+      expect(rc.listRoles()).to.deep.equal([
+        { role: 'owner', description: 'Owns the organization' },
+      ])
+    })
+    it('lists defined resources and their actions', () => {
+      const rc = new RolesCalc({ resourceActions: true })
+      rc.defineResource('site', {
+        label: 'Site',
+        actions: ['read', 'write', 'delete'],
+      })
+      rc.role('manager').extends('reports:read')
+      rc.role('manager').extends('site:approve')
+      expect(rc.listRoles().map((r) => r.role)).to.deep.equal([
+        'site',
+        'site:read',
+        'site:write',
+        'site:delete',
+        'reports:read',
+        'manager',
+        'site:approve',
+      ])
+      expect(rc.listResources()).to.deep.equal([
+        {
+          resource: 'site',
+          label: 'Site',
+          actions: ['read', 'write', 'delete'],
+        },
+      ])
+    })
+    it("doesn't list combinations of resources and actions that aren't mentioned", () => {
+      const rc = new RolesCalc({ resourceActions: true })
+      rc.role('manager').extends('site:read')
+      rc.role('accountant').extends('billing:approve')
+      rc.role('ops').extends('deploy:rollback')
+      expect(
+        rc
+          .listRoles()
+          .map((r) => r.role)
+          .sort()
+      ).to.deep.equal([
+        'accountant',
+        'billing:approve',
+        'deploy:rollback',
+        'manager',
+        'ops',
+        'site:read',
+      ])
+      expect(rc.permissionMatrix().roles).to.not.include('site:rollback')
+    })
+    it('uses the actions of defined resources in getChildRolesSet', () => {
+      const rc = new RolesCalc({
+        resourceActions: true,
+        writeExtendsRead: true,
+      })
+      rc.defineResource('site', { actions: ['read', 'write'] })
+      expect(rc.getChildRolesSet('site')).to.deep.equal(
+        new Set(['site:read', 'site:write'])
+      )
+    })
+  })
+  describe('strict', () => {
+    const rolesCalcOpts = { strict: true, resourceActions: true }
+
+    it('throws for unknown required roles with suggestions', () => {
+      const rc = new RolesCalc(rolesCalcOpts)
+      rc.defineRole('employee')
+      rc.defineResource('site', { actions: ['read', 'write'] })
+      expect(() =>
+        rc.isAuthorized({ required: 'sit:read', actual: 'manager' })
+      ).to.throw('unknown role: sit:read (did you mean site:read?)')
+      expect(() =>
+        rc.isAuthorized({
+          required: { anyOf: ['employee', 'site:wirte'] },
+          actual: 'manager',
+        })
+      ).to.throw('unknown role: site:wirte (did you mean site:write?)')
+      expect(() =>
+        rc.isAuthorized({ required: 'accountant', actual: 'manager' })
+      ).to.throw(/^unknown role: accountant$/)
+    })
+    it('allows declared roles', () => {
+      const rc = new RolesCalc<string>({
+        ...rolesCalcOpts,
+        alwaysAllow: 'admin',
+        resourceInstances: true,
+        wildcards: true,
+      })
+      rc.defineRole('manager')
+      rc.defineRole('employee')
+      rc.defineResource('site', { actions: ['read', 'write'] })
+      rc.role('manager').extends(['employee', 'site'])
+      expect(
+        rc.isAuthorized({
+          required: ['employee', 'site:write', 'site/42:read', 'admin'],
+          actual: 'manager',
+        })
+      ).to.be.false
+      expect(rc.isAuthorized({ required: 'site/42:read', actual: 'manager' }))
+        .to.be.true
+      expect(rc.isAuthorized({ required: '*:read', actual: 'admin' })).to.be
+        .true
+    })
+    it("doesn't check actual roles", () => {
+      const rc = new RolesCalc(rolesCalcOpts)
+      rc.defineRole('employee')
+      expect(rc.isAuthorized({ required: 'employee', actual: 'mangaer' })).to.be
+        .false
+    })
+    it('throws for unknown roles in role().extends and denies', () => {
+      const rc = new RolesCalc(rolesCalcOpts)
+      rc.defineRole('manager')
+      rc.defineRole('employee')
+      rc.defineResource('site', { actions: ['read', 'write'] })
+      expect(() => rc.role('manger').extends('employee')).to.throw(
+        'unknown role: manger (did you mean manager?)'
+      )
+      expect(() => rc.role('manager').extends('employe')).to.throw(
+        'unknown role: employe (did you mean employee?)'
+      )
+      expect(() => rc.role('manager').denies('site:delete')).to.throw(
+        'unknown role: site:delete'
+      )
+      expect(rc._childRolesToParentRoles.size).to.equal(0)
+    })
+    it('throws for unknown roles in pruneRedundantRoles', () => {
+      const rc = new RolesCalc(rolesCalcOpts)
+      rc.defineRole('manager')
+      rc.defineRole('employee')
+      expect(() => rc.pruneRedundantRoles(['manager', 'employe'])).to.throw(
+        'unknown role: employe (did you mean employee?)'
+      )
+    })
+    it('throws for wildcard roles that match no declared roles', () => {
+      const rc = new RolesCalc({ ...rolesCalcOpts, wildcards: true })
+      rc.defineResource('site', { actions: ['read', 'write'] })
+      expect(() =>
+        rc.isAuthorized({ required: '*:delete', actual: 'admin' })
+      ).to.throw('unknown role: *:delete')
+    })
+    it('is disabled by default', () => {
+      const rc = new RolesCalc()
+      rc.defineRole('manager')
+      expect(rc.isAuthorized({ required: 'sit:read', actual: 'manager' })).to.be
+        .false
+    })
+  })
+  describe('alias', () => {
+    it('resolves aliases everywhere', () => {
+      const rc = new RolesCalc({ resourceActions: true })
+      rc.alias('mgr', 'manager')
+      rc.role('owner').extends('mgr')
+      rc.role('mgr').extends('employee')
+      expect(rc._childRolesToParentRoles.get('manager')).to.deep.equal(
+        new Set(['owner'])
+      )
+      expect(rc.isAuthorized({ required: 'employee', actual: 'mgr' })).to.be
+        .true
+      expect(rc.isAuthorized({ required: 'mgr', actual: 'manager' })).to.be.true
+      expect(rc.isAuthorized({ required: 'mgr', actual: ['owner'] })).to.be.true
+      expect(rc.getParentRolesSet('mgr')).to.deep.equal(new Set(['owner']))
+      expect(rc.getRoleAndParentRolesSet('mgr')).to.deep.equal(
+        new Set(['owner', 'manager'])
+      )
+      expect(rc.getChildRolesSet('mgr')).to.deep.equal(new Set(['employee']))
+      expect(
+        rc.pruneRedundantRoles(['mgr', 'manager', 'employee'])
+      ).to.deep.equal(['manager'])
+      expect(rc.resolveRolesSet(['mgr', 'employee'])).to.deep.equal(
+        new Set(['manager', 'employee'])
+      )
+    })
+    it('resolves aliases of aliases', () => {
+      const rc = new RolesCalc()
+      rc.alias('boss', 'mgr')
+      rc.alias('mgr', 'manager')
+      rc.role('manager').extends('employee')
+      expect(rc.isAuthorized({ required: 'employee', actual: 'boss' })).to.be
+        .true
+    })
+    it('throws for aliases that would resolve to themselves', () => {
+      const rc = new RolesCalc()
+      rc.alias('mgr', 'manager')
+      expect(() => rc.alias('manager', 'mgr')).to.throw(
+        'alias manager would resolve to itself'
+      )
+      expect(() => rc.alias('foo', 'foo')).to.throw(
+        'alias foo would resolve to itself'
+      )
+    })
+    it('calls onDeprecatedAlias when a deprecated alias is used', () => {
+      const calls: Array<[string, string, true | string]> = []
+      const rc = new RolesCalc({
+        onDeprecatedAlias: (alias, role, deprecated) => {
+          calls.push([alias, role, deprecated])
+        },
+      })
+      rc.alias('mgr', 'manager', { deprecated: 'use manager' })
+      rc.alias('boss', 'manager')
+      rc.role('manager').extends('employee')
+      rc.isAuthorized({ required: 'employee', actual: ['boss', 'mgr'] })
+      expect(calls).to.deep.equal([['mgr', 'manager', 'use manager']])
+    })
+    it('works with scoped roles', () => {
+      const rc = new RolesCalc({ scopedRoles: true })
+      rc.alias('mgr', 'manager')
+      rc.role('manager').extends('employee')
+      expect(
+        rc.isAuthorized({
+          required: 'employee',
+          actual: 'mgr@org/1',
+          scope: 'org/1',
+        })
+      ).to.be.true
+    })
+    it('counts aliases as declared in strict mode', () => {
+      const rc = new RolesCalc({ strict: true })
+      rc.defineRole('manager')
+      rc.alias('mgr', 'manager')
+      expect(rc.isAuthorized({ required: 'mgr', actual: 'manager' })).to.be.true
+    })
+  })
+  describe('validate', () => {
+    it('returns no findings for a valid hierarchy', () => {
+      const rc = new RolesCalc<string>({
+        alwaysAllow: 'admin',
+        resourceActions: true,
+      })
+      rc.role('owner').extends('manager')
+      rc.role('manager').extends(['employee', 'site:read'])
+      expect(rc.validate()).to.deep.equal([])
+    })
+    it('reports redundant relationships', () => {
+      const rc = new RolesCalc({
+        resourceActions: true,
+        writeExtendsRead: true,
+      })
+      rc.role('owner').extends('manager')
+      rc.role('manager').extends('employee')
+      rc.role('owner').extends('employee')
+      rc.role('site:write').extends('site:read')
+      expect(rc.validate()).to.deep.equal([
+        {
+          type: 'redundantExtends',
+          message:
+            'owner extends employee, which is already implied by owner > manager > employee',
+          roles: ['owner', 'manager', 'employee'],
+        },
+        {
+          type: 'redundantExtends',
+          message:
+            'site:write extends site:read, which is already implied by site:write > site:read',
+          roles: ['site:write', 'site:read'],
+        },
+      ])
+    })
+    it('reports roles that extend alwaysAllow roles', () => {
+      const rc = new RolesCalc<string>({ alwaysAllow: 'admin' })
+      rc.role('manager').extends('admin')
+      expect(rc.validate()).to.deep.equal([
+        {
+          type: 'extendsAlwaysAllow',
+          message:
+            'manager extends admin, which is always allowed, so manager is authorized for every role',
+          roles: ['manager', 'admin'],
+        },
+      ])
+    })
+    it('reports chains near INHERITANCE_DEPTH_LIMIT', () => {
+      const rc = new RolesCalc()
+      const depth = INHERITANCE_DEPTH_LIMIT - 5
+      for (let i = 0; i < depth; i++)
+        rc.role(`role${i + 1}`).extends(`role${i}`)
+      rc.role('other').extends('role1')
+      const findings = rc.validate()
+      expect(findings.map((f) => f.type)).to.deep.equal(['deepChain'])
+      expect(findings[0].message).to.match(
+        new RegExp(
+          `^chain of ${depth} levels is near the inheritance depth limit of ${INHERITANCE_DEPTH_LIMIT}: role${depth} > `
+        )
+      )
+      expect(findings[0].roles).to.have.lengthOf(depth + 1)
+      rc.removeRole(`role${depth}`)
+      expect(rc.validate()).to.deep.equal([])
+    })
+    it('reports chains near the inheritanceDepthLimit option', () => {
+      const rc = new RolesCalc({ inheritanceDepthLimit: 8 })
+      for (let i = 0; i < 3; i++) rc.role(`role${i + 1}`).extends(`role${i}`)
+      expect(rc.validate().map((f) => f.message)).to.deep.equal([
+        'chain of 3 levels is near the inheritance depth limit of 8: role3 > role2 > role1 > role0',
+      ])
+      const unlimited = new RolesCalc({ inheritanceDepthLimit: Infinity })
+      for (let i = 0; i < 50; i++)
+        unlimited.role(`role${i + 1}`).extends(`role${i}`)
+      expect(unlimited.validate()).to.deep.equal([])
+    })
+    it('reports separator misuse', () => {
+      const rc = new RolesCalc({
+        resourceActions: true,
+        resourceActionSeparator: '.',
+        scopedRoles: true,
+      })
+      rc.role('manager').extends(['site..read', 'site:read', 'admin@org/1'])
+      expect(rc.validate().map((f) => f.message)).to.deep.equal([
+        "site..read has an empty resource or action, so it isn't a resource.action role",
+        "site:read contains ':', but the resourceActionSeparator is '.'",
+        'admin@org/1 contains the scope separator @, so it will never match a scoped role',
+      ])
+    })
+  })
+  describe('cycles', () => {
+    it('rejects self-extension', () => {
+      const rc = new RolesCalc()
+      expect(() => rc.role('manager').extends('manager'))
+        .to.throw(InheritanceCycleError)
+        .with.property('roles')
+        .that.deep.equals(['manager', 'manager'])
+    })
+    it('rejects relationships that would form a cycle', () => {
+      const rc = new RolesCalc()
+      rc.role('owner').extends('manager')
+      rc.role('manager').extends('employee')
+      let error: unknown
+      try {
+        rc.role('employee').extends('owner')
+      } catch (e) {
+        error = e
+      }
+      expect(error).to.be.an.instanceOf(InheritanceCycleError)
+      expect((error as InheritanceCycleError).roles).to.deep.equal([
+        'employee',
+        'owner',
+        'manager',
+        'employee',
+      ])
+      expect((error as Error).message).to.equal(
+        'roles would extend each other in a cycle: employee > owner > manager > employee'
+      )
+      expect(rc.getParentRolesSet('owner')).to.deep.equal(new Set())
+    })
+    it('rejects cycles through conditional relationships', () => {
+      const rc = new RolesCalc()
+      rc.role('author')
+        .extends('editor')
+        .when(() => true)
+      expect(() => rc.role('editor').extends('author')).to.throw(
+        InheritanceCycleError
+      )
+    })
+    it('rolls back relationships added by the same call', () => {
+      const rc = new RolesCalc()
+      rc.role('owner').extends('manager')
+      expect(() => rc.role('manager').extends(['employee', 'owner'])).to.throw(
+        InheritanceCycleError
+      )
+      expect(rc.getChildRolesSet('manager')).to.deep.equal(new Set())
+      expect(rc.getChildRolesSet('owner')).to.deep.equal(new Set(['manager']))
+    })
+    it('allows diamonds', () => {
+      const rc = new RolesCalc()
+      rc.role('owner').extends(['manager', 'accountant'])
+      rc.role('manager').extends('employee')
+      rc.role('accountant').extends('employee')
+      expect(rc.getParentRolesSet('employee')).to.deep.equal(
+        new Set(['manager', 'accountant', 'owner'])
+      )
+    })
+  })
+  describe('inheritanceDepthLimit', () => {
+    const buildChain = (rc: RolesCalc<string>, depth: number) => {
+      for (let level = 0; level < depth; ++level) {
+        rc.role(`level${level + 1}`).extends(`level${level}`)
+      }
+    }
+    it('allows deeper hierarchies when raised', () => {
+      const rc = new RolesCalc({ inheritanceDepthLimit: 30 })
+      buildChain(rc, 24)
+      expect(
+        rc.isAuthorized({ required: 'level0', actual: 'level24' })
+      ).to.equal(true)
+    })
+    it('can be unlimited', () => {
+      const rc = new RolesCalc({ inheritanceDepthLimit: Infinity })
+      buildChain(rc, 100)
+      expect(
+        rc.isAuthorized({ required: 'level0', actual: 'level100' })
+      ).to.equal(true)
+    })
+    it('throws InheritanceDepthError when exceeded', () => {
+      const rc = new RolesCalc({ inheritanceDepthLimit: 5 })
+      buildChain(rc, 6)
+      let error: unknown
+      try {
+        rc.isAuthorized({ required: 'level0', actual: 'level6' })
+      } catch (e) {
+        error = e
+      }
+      expect(error).to.be.an.instanceOf(InheritanceDepthError)
+      expect(error).to.include({ role: 'level0', limit: 5 })
+      expect((error as Error).message).to.equal(
+        'could not flatten roles of level0: inheritance depth of 5 levels was exceeded'
+      )
+    })
+    it('must be a positive integer or Infinity', () => {
+      for (const inheritanceDepthLimit of [0, -1, 2.5, NaN]) {
+        expect(() => new RolesCalc({ inheritanceDepthLimit })).to.throw(
+          'inheritanceDepthLimit must be a positive integer or Infinity'
+        )
+      }
+    })
+  })
+  describe('toJSON', () => {
+    it('serializes options and relationships', () => {
+      const rc = new RolesCalc<string>({
+        alwaysAllow: 'admin',
+        resourceActions: true,
+        inheritanceDepthLimit: Infinity,
+      })
+      rc.role('owner').extends('manager')
+      rc.role('manager').extends(['site:read', 'employee'])
+      expect(rc.toJSON()).to.deep.equal({
+        version: JSON_SCHEMA_VERSION,
+        options: {
+          alwaysAllow: ['admin'],
+          resourceActions: true,
+          writeExtendsRead: false,
+          resourceActionSeparator: ':',
+          wildcards: false,
+          resourceInstances: false,
+          scopedRoles: false,
+          strict: false,
+          inheritanceDepthLimit: null,
+        },
+        hierarchy: {
+          manager: ['employee', 'site:read'],
+          owner: ['manager'],
+        },
+        actionHierarchy: {},
+        denies: {},
+        aliases: {},
+        roles: {},
+        resources: {},
+      })
+    })
+    it('round trips', () => {
+      const rc = new RolesCalc<string>({
+        alwaysAllow: 'admin',
+        resourceActions: true,
+        writeExtendsRead: true,
+        resourceActionSeparator: '.',
+      })
+      rc.defineRole('owner', { label: 'Owner', tags: ['billing'] })
+      rc.defineResource('site', { actions: ['read', 'write'] })
+      rc.alias('mgr', 'manager', { deprecated: 'use manager' })
+      rc.action('manage').extends('write')
+      rc.role('owner').extends('manager')
+      rc.role('manager').extends(['employee', 'site.manage'])
+      rc.role('contractor').extends('employee')
+      rc.role('contractor').denies('site.write')
+      const deprecated: Array<string> = []
+      const restored = RolesCalc.fromJSON<string>(JSON.stringify(rc), {
+        onDeprecatedAlias: (alias) => deprecated.push(alias),
+      })
+      expect(restored.toJSON()).to.deep.equal(rc.toJSON())
+      for (const required of ['employee', 'site.read', 'site.write']) {
+        for (const actual of ['owner', 'mgr', 'contractor', 'admin']) {
+          expect(restored.isAuthorized({ required, actual })).to.equal(
+            rc.isAuthorized({ required, actual }),
+            `${actual} for ${required}`
+          )
+        }
+      }
+      expect(deprecated).to.include('mgr')
+      const byRole = (a: { role: string }, b: { role: string }) =>
+        a.role.localeCompare(b.role)
+      expect(restored.listRoles().sort(byRole)).to.deep.equal(
+        rc.listRoles().sort(byRole)
+      )
+    })
+    it('fromJSON uses the default options for missing options', () => {
+      const rc = RolesCalc.fromJSON({ version: JSON_SCHEMA_VERSION })
+      expect(rc.toJSON().options.inheritanceDepthLimit).to.equal(
+        INHERITANCE_DEPTH_LIMIT
+      )
+      expect(rc.toJSON().options.resourceActionSeparator).to.equal(':')
+      const unlimited = RolesCalc.fromJSON({
+        version: JSON_SCHEMA_VERSION,
+        options: { inheritanceDepthLimit: null },
+      })
+      expect(unlimited.toJSON().options.inheritanceDepthLimit).to.equal(null)
+    })
+    it('throws for conditional relationships', () => {
+      const rc = new RolesCalc()
+      rc.role('author')
+        .extends('doc:write')
+        .when(() => true)
+      expect(() => rc.toJSON()).to.throw(
+        "conditional relationships can't be serialized"
+      )
+    })
+    it('has a content hash that is independent of the order of definition', () => {
+      const a = new RolesCalc()
+      a.role('owner').extends('manager')
+      a.role('manager').extends(['employee', 'billing'])
+      const b = new RolesCalc()
+      b.role('manager').extends('billing')
+      b.role('manager').extends('employee')
+      b.role('owner').extends('manager')
+      expect(a.contentHash()).to.match(/^[0-9a-f]{14}$/)
+      expect(a.contentHash()).to.equal(b.contentHash())
+      b.role('owner').extends('auditor')
+      expect(a.contentHash()).not.to.equal(b.contentHash())
+    })
+    it('fromJSON throws for malformed input', () => {
+      for (const [json, message] of [
+        ['{', /^invalid RolesCalc JSON: /],
+        [[], 'invalid RolesCalc JSON: input must be an object'],
+        [{}, 'invalid RolesCalc JSON: version must be a number'],
+        [{ version: 2 }, 'unsupported RolesCalc JSON version: 2 (expected 1)'],
+        [
+          { version: 1, options: { resourceActions: 'yes' } },
+          'invalid RolesCalc JSON: options.resourceActions must be a boolean',
+        ],
+        [
+          { version: 1, hierarchy: { owner: 'manager' } },
+          'invalid RolesCalc JSON: hierarchy["owner"] must be an array of strings',
+        ],
+        [
+          { version: 1, aliases: { mgr: {} } },
+          'invalid RolesCalc JSON: aliases["mgr"].role must be a string',
+        ],
+        [
+          { version: 1, resources: { site: { actions: [1] } } },
+          'invalid RolesCalc JSON: resources["site"].actions must be an array of strings',
+        ],
+      ] as Array<[unknown, string | RegExp]>) {
+        expect(() => RolesCalc.fromJSON(json)).to.throw(message as any)
+      }
+    })
+    it('fromJSON rejects invalid hierarchies', () => {
+      expect(() =>
+        RolesCalc.fromJSON({
+          version: 1,
+          hierarchy: { a: ['b'], b: ['a'] },
+        })
+      ).to.throw(InheritanceCycleError)
+    })
+  })
+  describe('hierarchy option', () => {
+    it('defines relationships', () => {
+      const rc = new RolesCalc<string>({
+        resourceActions: true,
+        hierarchy: {
+          owner: ['manager'],
+          manager: ['employee', 'site:manage'],
+        },
+        actionHierarchy: { manage: ['write'], write: ['read'] },
+      })
+      expect(
+        rc.isAuthorized({ required: 'employee', actual: 'owner' })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({ required: 'site:read', actual: 'owner' })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({ required: 'owner', actual: 'manager' })
+      ).to.equal(false)
+      expect(rc.toJSON().hierarchy).to.deep.equal({
+        manager: ['employee', 'site:manage'],
+        owner: ['manager'],
+      })
+    })
+    it('is validated at construction', () => {
+      expect(() => new RolesCalc<string>({ hierarchy: [] as any })).to.throw(
+        'hierarchy must be an object'
+      )
+      expect(
+        () => new RolesCalc<string>({ hierarchy: { owner: 'manager' as any } })
+      ).to.throw('hierarchy["owner"] must be an array of non-empty strings')
+      expect(
+        () =>
+          new RolesCalc<string>({ actionHierarchy: { write: ['read', ''] } })
+      ).to.throw(
+        'actionHierarchy["write"] must be an array of non-empty strings'
+      )
+      expect(
+        () =>
+          new RolesCalc<string>({
+            hierarchy: { owner: ['manager'], manager: ['owner'] },
+          })
+      )
+        .to.throw(InheritanceCycleError)
+        .with.property('roles')
+        .that.deep.equals(['manager', 'owner', 'manager'])
+    })
+    it('is checked against the roles and resources options in strict mode', () => {
+      const rc = new RolesCalc<string>({
+        strict: true,
+        resourceActions: true,
+        roles: { owner: { label: 'Owner' }, manager: {} },
+        resources: { site: { actions: ['read'] } },
+        hierarchy: { owner: ['manager'], manager: ['site:read'] },
+      })
+      expect(
+        rc.isAuthorized({ required: 'site:read', actual: 'owner' })
+      ).to.equal(true)
+      expect(rc.listRoles()).to.deep.include({ role: 'owner', label: 'Owner' })
+      expect(
+        () =>
+          new RolesCalc<string>({
+            strict: true,
+            roles: { owner: {}, manager: {} },
+            hierarchy: { owner: ['manger'] },
+          })
+      ).to.throw('unknown role: manger (did you mean manager?)')
+    })
+  })
+  describe('toDot', () => {
+    const rolesCalcOpts = {
+      alwaysAllow: 'admin',
+      resourceActions: true,
+      writeExtendsRead: true,
+    }
+    it('distinguishes explicit and implicit relationships', () => {
+      const rc = new RolesCalc(rolesCalcOpts)
+      rc.role('owner').extends('manager', 'site')
+      rc.role('manager').extends('employee', 'site:write')
+      rc.role('employee').extends('site:read')
+      rc.role('author')
+        .extends('employee')
+        .when(() => true)
+      expect(rc.toDot()).to.equal(
+        [
+          'digraph roles {',
+          '  node [shape=box]',
+          '  "admin" [peripheries=2]',
+          '  "author"',
+          '  "employee"',
+          '  "manager"',
+          '  "owner"',
+          '  "site"',
+          '  "site:read"',
+          '  "site:write"',
+          '  "admin" -> "author" [style=dotted, label="alwaysAllow"]',
+          '  "admin" -> "owner" [style=dotted, label="alwaysAllow"]',
+          '  "author" -> "employee" [style=dashed, label="when"]',
+          '  "employee" -> "site:read"',
+          '  "manager" -> "employee"',
+          '  "manager" -> "site:write"',
+          '  "owner" -> "manager"',
+          '  "owner" -> "site"',
+          '  "site" -> "site:read" [style=dotted, label="resourceImpliesAction"]',
+          '  "site" -> "site:write" [style=dotted, label="resourceImpliesAction"]',
+          '  "site:write" -> "site:read" [style=dotted, label="writeExtendsRead"]',
+          '}',
+          '',
+        ].join('\n')
+      )
+    })
+    it('is deterministic', () => {
+      const rc = new RolesCalc({ resourceActions: true })
+      rc.role('manager').extends('site:write')
+      rc.role('owner').extends('manager')
+      rc.role('manager').extends('employee')
+      expect(rc.toDot()).to.equal(
+        new RolesCalc<string>({
+          resourceActions: true,
+          hierarchy: {
+            owner: ['manager'],
+            manager: ['employee', 'site:write'],
+          },
+        }).toDot()
+      )
+    })
+    it('omits implicit relationships', () => {
+      const rc = new RolesCalc(rolesCalcOpts)
+      rc.role('owner').extends('manager')
+      rc.role('manager').extends('employee', 'site:write')
+      expect(rc.toDot({ implicit: false })).to.equal(
+        [
+          'digraph roles {',
+          '  node [shape=box]',
+          '  "admin" [peripheries=2]',
+          '  "employee"',
+          '  "manager"',
+          '  "owner"',
+          '  "site:write"',
+          '  "manager" -> "employee"',
+          '  "manager" -> "site:write"',
+          '  "owner" -> "manager"',
+          '}',
+          '',
+        ].join('\n')
+      )
+    })
+    it('collapses resources', () => {
+      const rc = new RolesCalc({ resourceActions: true })
+      rc.role('manager').extends('site:write')
+      expect(rc.toDot({ collapseResources: true, implicit: false })).to.contain(
+        '  "manager" -> "site"\n'
+      )
+    })
+    it('focuses on ancestors and descendants of a role', () => {
+      const rc = new RolesCalc({ resourceActions: true })
+      rc.role('owner').extends('manager')
+      rc.role('manager').extends('employee', 'site:write')
+      rc.role('contractor').extends('employee')
+      const focused = (focusDirection?: 'ancestors' | 'descendants') =>
+        rc
+          .toDot({ implicit: false, focus: 'manager', focusDirection })
+          .split('\n')
+          .filter((line) => line.includes('->'))
+      expect(focused()).to.deep.equal([
+        '  "manager" -> "employee"',
+        '  "manager" -> "site:write"',
+        '  "owner" -> "manager"',
+      ])
+      expect(focused('ancestors')).to.deep.equal(['  "owner" -> "manager"'])
+      expect(focused('descendants')).to.deep.equal([
+        '  "manager" -> "employee"',
+        '  "manager" -> "site:write"',
+      ])
+    })
+    it('clusters by resource', () => {
+      const rc = new RolesCalc(rolesCalcOpts)
+      rc.role('owner').extends('site')
+      rc.role('manager').extends('site:write')
+      rc.role('employee').extends('site:read')
+      expect(rc.toDot({ clusterByResource: true })).to.contain(
+        [
+          '  subgraph "cluster_site" {',
+          '    label="site"',
+          '    "site"',
+          '    "site:read"',
+          '    "site:write"',
+          '  }',
+        ].join('\n')
+      )
+    })
+    it('escapes ids', () => {
+      const rc = new RolesCalc()
+      rc.role('say "hi"').extends('back\\slash')
+      expect(rc.toDot()).to.contain('  "say \\"hi\\"" -> "back\\\\slash"\n')
+    })
+  })
+  describe('toMermaid', () => {
+    const rolesCalcOpts = { alwaysAllow: 'admin', resourceActions: true }
+    it('shows direct relationships', () => {
+      const rc = new RolesCalc(rolesCalcOpts)
+      rc.role('owner').extends('manager')
+      rc.role('manager').extends('employee', 'site:read')
+      rc.role('contractor').extends('employee')
+      expect(rc.toMermaid()).to.equal(
+        [
+          'flowchart TB',
+          '  r0["admin"]',
+          '  r1["contractor"]',
+          '  r2["employee"]',
+          '  r3["manager"]',
+          '  r4["owner"]',
+          '  r5["site:read"]',
+          '  r1 --> r2',
+          '  r3 --> r2',
+          '  r3 --> r5',
+          '  r4 --> r3',
+          '  classDef alwaysAllow stroke-width:3px',
+          '  class r0 alwaysAllow',
+          '',
+        ].join('\n')
+      )
+    })
+    it('includes implicit relationships', () => {
+      const rc = new RolesCalc(rolesCalcOpts)
+      rc.role('owner').extends('site')
+      rc.role('manager').extends('site:read')
+      rc.role('author')
+        .extends('site:read')
+        .when(() => true)
+      expect(rc.toMermaid({ implicit: true, direction: 'LR' })).to.equal(
+        [
+          'flowchart LR',
+          '  r0["admin"]',
+          '  r1["author"]',
+          '  r2["manager"]',
+          '  r3["owner"]',
+          '  r4["site"]',
+          '  r5["site:read"]',
+          '  r0 -.->|alwaysAllow| r1',
+          '  r0 -.->|alwaysAllow| r2',
+          '  r0 -.->|alwaysAllow| r3',
+          '  r1 -.->|when| r5',
+          '  r2 --> r5',
+          '  r3 --> r4',
+          '  r4 -.->|resourceImpliesAction| r5',
+          '  classDef alwaysAllow stroke-width:3px',
+          '  class r0 alwaysAllow',
+          '',
+        ].join('\n')
+      )
+    })
+    it('can be limited to the subgraph rooted at given roles', () => {
+      const rc = new RolesCalc()
+      rc.role('owner').extends('manager')
+      rc.role('manager').extends('employee', 'site:read')
+      rc.role('contractor').extends('employee')
+      expect(
+        rc.toMermaid({ focus: 'manager', focusDirection: 'descendants' })
+      ).to.equal(
+        [
+          'flowchart TB',
+          '  r0["employee"]',
+          '  r1["manager"]',
+          '  r2["site:read"]',
+          '  r1 --> r0',
+          '  r1 --> r2',
+          '',
+        ].join('\n')
+      )
+    })
+    it('escapes labels', () => {
+      const rc = new RolesCalc()
+      rc.role('say "hi"').extends('employee')
+      expect(rc.toMermaid()).to.contain('  r1["say #quot;hi#quot;"]\n')
+    })
+  })
+  describe('Casbin', () => {
+    const rolesCalcOpts = {
+      alwaysAllow: 'admin',
+      resourceActions: true,
+      writeExtendsRead: true,
+    }
+    it('exports a policy', () => {
+      const rc = new RolesCalc(rolesCalcOpts)
+      rc.role('owner').extends('manager')
+      rc.role('manager').extends('employee', 'site:write', 'billing')
+      rc.role('employee').extends('site:read')
+      expect(rc.toCasbinPolicy()).to.deep.equal({
+        policy: [
+          'p, employee, site, read',
+          'p, manager, site, write',
+          'g, admin, owner',
+          'g, manager, billing',
+          'g, manager, employee',
+          'g, owner, manager',
+          '',
+        ].join('\n'),
+        unsupported: [],
+      })
+    })
+    it('exports a policy that gives the same answers', () => {
+      const rc = new RolesCalc(rolesCalcOpts)
+      rc.role('owner').extends('manager')
+      rc.role('manager').extends('employee', 'site:write', 'billing')
+      rc.role('employee').extends('site:read')
+      const imported = new RolesCalc<string>()
+      expect(
+        imported.importCasbinPolicy(rc.toCasbinPolicy().policy)
+      ).to.deep.equal([])
+      const knownRoles = rc.listRoles().map(({ role }) => role)
+      for (const actual of ['admin', 'owner', 'manager', 'employee']) {
+        for (const required of knownRoles) {
+          expect(imported.isAuthorized({ required, actual })).to.equal(
+            rc.isAuthorized({ required, actual }),
+            `${actual} for ${required}`
+          )
+        }
+      }
+    })
+    it('reports things it cannot export', () => {
+      const rc = new RolesCalc<string>({
+        resourceActions: true,
+        wildcards: true,
+      })
+      rc.role('author')
+        .extends('doc:write')
+        .when(() => true)
+      rc.role('contractor').denies('billing:read')
+      rc.role('auditor').extends('*:read')
+      rc.role('site:write').extends('employee')
+      expect(rc.toCasbinPolicy().unsupported).to.deep.equal([
+        'conditional relationship: author extends doc:write',
+        'deny rule: contractor denies billing:read',
+        'wildcard role: *:read',
+        'relationship: site:write extends employee',
+      ])
+    })
+    it('imports a policy', () => {
+      const rc = new RolesCalc<string>({
+        resourceActions: true,
+        resourceActionSeparator: '.',
+      })
+      expect(
+        rc.importCasbinPolicy(
+          [
+            '# roles',
+            'p, employee, site, read',
+            'p, manager, "site,2", write',
+            'p, contractor, billing, read, deny',
+            '',
+            'g, manager, employee',
+            'g, contractor, employee',
+          ].join('\n')
+        )
+      ).to.deep.equal([])
+      expect(
+        rc.isAuthorized({ required: 'site.read', actual: 'manager' })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({ required: 'site,2.write', actual: 'manager' })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({ required: 'site.read', actual: 'contractor' })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({
+          required: 'billing.read',
+          actual: ['contractor', 'billing'],
+        })
+      ).to.equal(false)
+    })
+    it('reports lines it cannot import', () => {
+      const rc = new RolesCalc<string>({ resourceActions: true })
+      expect(
+        rc.importCasbinPolicy(
+          [
+            'g, alice, admin, domain1',
+            'g, alice',
+            'g2, alice, admin',
+            'p, alice, data1',
+            'p, alice, data1, read, maybe',
+            'p, alice, , read',
+          ].join('\n')
+        )
+      ).to.deep.equal([
+        "line 1: domains aren't supported: g, alice, admin, domain1",
+        'line 2: expected g, role, role: g, alice',
+        "line 3: g2 rules aren't supported: g2, alice, admin",
+        'line 4: expected p, role, resource, action: p, alice, data1',
+        'line 5: unknown effect maybe: p, alice, data1, read, maybe',
+        'line 6: empty field: p, alice, , read',
+      ])
+      expect(rc.listRoles()).to.deep.equal([])
+    })
+    it('skips lines that would create a cycle', () => {
+      const rc = new RolesCalc()
+      const unsupported = rc.importCasbinPolicy(
+        ['g, a, b', 'g, b, c', 'g, c, a', 'g, d, e'].join('\n')
+      )
+      expect(unsupported).to.have.lengthOf(1)
+      expect(unsupported[0]).to.match(/^line 3: .*: g, c, a$/)
+      expect(rc.isAuthorized({ required: 'c', actual: 'a' })).to.equal(true)
+      expect(rc.isAuthorized({ required: 'a', actual: 'c' })).to.equal(false)
+      expect(rc.isAuthorized({ required: 'e', actual: 'd' })).to.equal(true)
+    })
+    it('skips lines with unknown roles in strict mode', () => {
+      const rc = new RolesCalc({ strict: true, resourceActions: true })
+      rc.defineRole('manager')
+      rc.defineRole('employee')
+      rc.defineResource('site', { actions: ['read'] })
+      const unsupported = rc.importCasbinPolicy(
+        [
+          'g, manager, employee',
+          'g, manager, owner',
+          'p, employee, site, write',
+          'p, employee, site, read',
+        ].join('\n')
+      )
+      expect(unsupported).to.have.lengthOf(2)
+      expect(unsupported[0]).to.match(/^line 2: .*: g, manager, owner$/)
+      expect(unsupported[1]).to.match(/^line 3: .*: p, employee, site, write$/)
+      expect(
+        rc.isAuthorized({ required: 'site:read', actual: 'manager' })
+      ).to.equal(true)
+    })
+  })
+  describe('toOpa', () => {
+    // evaluates the holders rule of the Rego module with the data document, for roles
+    // that aren't in the closure
+    function regoFallbackHolders(
+      hierarchy: OpaHierarchy<string>,
+      role: string
+    ): Set<string> {
+      const sep = hierarchy.separator
+      const resourceAndAction = (role: string): [string, string] | null => {
+        const segments = role.split(sep)
+        if (!hierarchy.resource_actions || segments.length < 2) return null
+        return [segments.slice(0, -1).join(sep), segments[segments.length - 1]]
+      }
+      const variants = (role: string): Array<string> =>
+        hierarchy.resource_instances
+          ? [
+              role,
+              role.replace(new RegExp(hierarchy.instance_pattern, 'g'), ''),
+            ]
+          : [role]
+      const implyingRoles = (role: string): Set<string> => {
+        const result: Set<string> = new Set(variants(role))
+        for (const variant of variants(role)) {
+          const segments = variant.split(sep)
+          if (!hierarchy.resource_actions || segments.length < 2) continue
+          const action = segments[segments.length - 1]
+          const actions = [action, ...(hierarchy.action_parents[action] || [])]
+          for (let length = 1; length < segments.length; length++) {
+            const resource = segments.slice(0, length).join(sep)
+            result.add(resource)
+            for (const parentAction of actions)
+              result.add(`${resource}${sep}${parentAction}`)
+          }
+        }
+        result.delete(role)
+        return result
+      }
+      const parentActions = (parentRole: string): Array<string> => {
+        const action = resourceAndAction(role)?.[1]
+        return action && !resourceAndAction(parentRole)
+          ? [`${parentRole}${sep}${action}`]
+          : []
+      }
+      const parentRolesOf = (role: string): Array<string> =>
+        hierarchy.parent_roles[role] || []
+
+      const related: Set<string> = new Set()
+      for (const [childRole, parentRoles] of Object.entries(
+        hierarchy.parent_roles
+      )) {
+        for (const relatedRole of [childRole, ...(parentRoles || [])])
+          related.add(relatedRole)
+      }
+      const walked = new Set([
+        role,
+        ...hierarchy.always_allow,
+        ...related,
+        ...[...related].flatMap(parentActions),
+      ])
+      const nodes = new Set(walked)
+      for (const node of walked) {
+        for (const implied of implyingRoles(node)) nodes.add(implied)
+      }
+      const edges: Map<string, Set<string>> = new Map()
+      for (const node of nodes) {
+        edges.set(
+          node,
+          new Set([
+            ...implyingRoles(node),
+            ...parentRolesOf(node),
+            ...parentRolesOf(node).flatMap(parentActions),
+          ])
+        )
+      }
+      // graph.reachable
+      const reachable = new Set([role, ...hierarchy.always_allow])
+      for (const node of reachable) {
+        for (const next of edges.get(node) || []) reachable.add(next)
+      }
+      return reachable
+    }
+    it('exports the flattened hierarchy', () => {
+      const rc = new RolesCalc<string>({
+        alwaysAllow: 'admin',
+        resourceActions: true,
+        writeExtendsRead: true,
+        hierarchy: {
+          manager: ['employee', 'site:write'],
+          contractor: ['employee'],
+        },
+      })
+      rc.role('contractor').denies('billing')
+      rc.alias('mgr', 'manager')
+      const { data, unsupported } = rc.toOpa()
+      expect(data).to.deep.equal({
+        roles_calc_data: {
+          separator: ':',
+          resource_actions: true,
+          resource_instances: false,
+          instance_pattern: '/[^:]*',
+          always_allow: ['admin'],
+          aliases: { mgr: 'manager' },
+          action_parents: { read: ['write'] },
+          parent_roles: {
+            employee: ['contractor', 'manager'],
+            'site:write': ['manager'],
+          },
+          closure: {
+            admin: ['admin'],
+            billing: ['admin', 'billing'],
+            contractor: ['admin', 'contractor'],
+            employee: ['admin', 'contractor', 'employee', 'manager'],
+            manager: ['admin', 'manager'],
+            'site:write': [
+              'admin',
+              'manager',
+              'manager:write',
+              'site',
+              'site:write',
+            ],
+          },
+          denies: {
+            contractor: { holders: ['contractor'], denied: ['billing'] },
+          },
+          denied_holders: { billing: [] },
+        },
+      })
+      expect(unsupported).to.deep.equal([])
+    })
+    it('creates a Rego module for the data document', () => {
+      const rc = new RolesCalc()
+      rc.role('manager').extends('employee')
+      const { data, rego } = rc.toOpa({
+        package: 'authz.roles',
+        dataPath: 'authz.hierarchy',
+      })
+      expect(data).to.have.nested.property('authz.hierarchy.closure')
+      expect(rego).to.match(/^package authz\.roles\n/)
+      expect(rego).to.contain('hierarchy := data.authz.hierarchy\n')
+      expect(rego).to.contain('default authorized := false\n')
+    })
+    it('satisfies child:action with parent:action for roles that are not in the closure', () => {
+      const rc = new RolesCalc({ resourceActions: true })
+      rc.role('manager').extends('employee')
+      const hierarchy = rc.toOpa().data.roles_calc_data as OpaHierarchy<string>
+      expect(hierarchy.closure).not.to.have.property('employee:read')
+      expect(
+        rc.isAuthorized({ required: 'employee:read', actual: 'manager:read' })
+      ).to.equal(true)
+      expect(
+        regoFallbackHolders(hierarchy, 'employee:read').has('manager:read')
+      ).to.equal(true)
+    })
+    it('finds the same holders as getRoleAndParentRolesSet for roles that are not in the closure', () => {
+      const rc = new RolesCalc<string>({
+        alwaysAllow: 'admin',
+        resourceActions: true,
+        resourceInstances: true,
+        writeExtendsRead: true,
+      })
+      rc.action('manage').extends('write')
+      rc.role('owner').extends('manager', 'billing')
+      rc.role('manager').extends('employee', 'site:write')
+      rc.role('employee').extends('org:site:read')
+      rc.role('auditor').extends('org:read')
+      rc.role('editor').extends('doc/7:write')
+      rc.role('doc/7:manage').extends('reviewer')
+      const hierarchy = rc.toOpa().data.roles_calc_data as OpaHierarchy<string>
+      for (const required of [
+        'employee:read',
+        'manager:read',
+        'owner:manage',
+        'billing:write',
+        'site:read',
+        'site/42:read',
+        'org:site/3:read',
+        'org:site:write',
+        'doc/7:read',
+        'doc:read',
+        'reviewer:read',
+        'nobody',
+      ]) {
+        expect(hierarchy.closure).not.to.have.property(required)
+        expect(regoFallbackHolders(hierarchy, required)).to.deep.equal(
+          rc.getRoleAndParentRolesSet(required),
+          required
+        )
+      }
+    })
+    it('exports the roles that grant each denied role', () => {
+      const rc = new RolesCalc<string>({ resourceActions: true })
+      rc.action('manage').extends('write')
+      rc.role('contractor').denies('billing:write')
+      expect(rc.toOpa().data).to.have.deep.nested.property(
+        'roles_calc_data.denied_holders',
+        { 'billing:write': ['billing', 'billing:manage'] }
+      )
+    })
+    it('reports things it cannot export', () => {
+      const rc = new RolesCalc<string>({
+        resourceActions: true,
+        wildcards: true,
+      })
+      rc.role('author')
+        .extends('doc:write')
+        .when(() => true)
+      rc.role('auditor').extends('*:read')
+      expect(rc.toOpa().unsupported).to.deep.equal([
+        'conditional relationship: author extends doc:write',
+        'wildcard role: *:read',
+      ])
+    })
+  })
+  describe('permissionMatrix', () => {
+    it('defaults to all known roles and resource:action roles', () => {
+      const rc = new RolesCalc<string>({
+        alwaysAllow: 'admin',
+        resourceActions: true,
+        writeExtendsRead: true,
+      })
+      rc.role('manager').extends('employee', 'site:write')
+      rc.role('employee').extends('site:read')
+      rc.role('contractor').extends('employee')
+      rc.role('contractor').denies('site:read')
+      expect(rc.permissionMatrix()).to.deep.equal({
+        roles: [
+          'admin',
+          'contractor',
+          'employee',
+          'manager',
+          'site:read',
+          'site:write',
+        ],
+        permissions: ['site:read', 'site:write'],
+        grants: [
+          ['inherited', 'inherited'],
+          [null, null],
+          ['direct', null],
+          ['inherited', 'direct'],
+          ['direct', null],
+          ['inherited', 'direct'],
+        ],
+      })
+    })
+    it('only defaults to resource:action roles that are mentioned', () => {
+      const rc = new RolesCalc({ resourceActions: true })
+      rc.role('manager').extends('site:write', 'billing:approve')
+      rc.role('auditor').extends('org:site:read')
+      rc.role('auditor').denies('org:site')
+      rc.defineResource('report', { actions: ['export'] })
+      expect(rc.permissionMatrix().permissions).to.deep.equal([
+        'billing:approve',
+        'org:site:read',
+        'report:export',
+        'site:write',
+      ])
+    })
+    it('accepts roles and permissions', () => {
+      const rc = new RolesCalc({ resourceActions: true })
+      rc.role('manager').extends('site:write')
+      rc.alias('mgr', 'manager')
+      expect(
+        rc.permissionMatrix({
+          roles: ['mgr', 'employee'],
+          permissions: ['site:write', 'site:delete'],
+        })
+      ).to.deep.equal({
+        roles: ['mgr', 'employee'],
+        permissions: ['site:write', 'site:delete'],
+        grants: [
+          ['direct', null],
+          [null, null],
+        ],
+      })
+    })
+    it('applies conditional relationships for the given context', () => {
+      const rc = new RolesCalc<string, { owner: boolean }>({
+        resourceActions: true,
+      })
+      rc.role('author')
+        .extends('doc:write')
+        .when((context) => context.owner)
+      const options = { roles: 'author', permissions: ['doc:write'] }
+      expect(rc.permissionMatrix(options).grants).to.deep.equal([[null]])
+      expect(
+        rc.permissionMatrix({ ...options, context: { owner: true } }).grants
+      ).to.deep.equal([['direct']])
+    })
+    it('renders CSV', () => {
+      const rc = new RolesCalc({
+        resourceActions: true,
+        writeExtendsRead: true,
+      })
+      rc.role('manager').extends('employee', 'site:write')
+      rc.role('employee').extends('site:read')
+      rc.role('foo,bar').extends('site:write')
+      expect(
+        permissionMatrixToCSV(
+          rc.permissionMatrix({ roles: ['manager', 'employee', 'foo,bar'] })
+        )
+      ).to.equal(
+        'role,site:read,site:write\n' +
+          'manager,inherited,direct\n' +
+          'employee,direct,\n' +
+          '"foo,bar",inherited,direct\n'
+      )
+    })
+    it('renders Markdown', () => {
+      const rc = new RolesCalc({
+        resourceActions: true,
+        writeExtendsRead: true,
+      })
+      rc.role('manager').extends('site:write')
+      rc.role('a|b').extends('site:read')
+      expect(
+        permissionMatrixToMarkdown(
+          rc.permissionMatrix({ roles: ['manager', 'employee', 'a|b'] })
+        )
+      ).to.equal(
+        '| role | site:read | site:write |\n' +
+          '| --- | --- | --- |\n' +
+          '| manager | inherited | direct |\n' +
+          '| employee |  |  |\n' +
+          '| a\\|b | direct |  |\n'
+      )
+    })
+  })
+  describe('denies', () => {
+    it('overrides inherited grants', () => {
+      const rc = new RolesCalc({ resourceActions: true })
+      rc.role('employee').extends('billing', 'payroll')
+      rc.role('contractor').extends('employee')
+      rc.role('contractor').denies('billing:write')
+      expect(
+        rc.isAuthorized({ required: 'billing:write', actual: 'employee' })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({ required: 'billing:write', actual: 'contractor' })
+      ).to.equal(false)
+      expect(
+        rc.isAuthorized({ required: 'billing:read', actual: 'contractor' })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({ required: 'payroll:write', actual: 'contractor' })
+      ).to.equal(true)
+    })
+    it('does not deny the actions a denied action implies', () => {
+      const rc = new RolesCalc({
+        resourceActions: true,
+        writeExtendsRead: true,
+      })
+      rc.role('employee').extends('billing', 'org')
+      rc.role('contractor').extends('employee')
+      rc.role('contractor').denies('billing:write', 'org:site')
+      expect(
+        rc.isAuthorized({ required: 'billing:write', actual: 'contractor' })
+      ).to.equal(false)
+      expect(
+        rc.isAuthorized({ required: 'billing:read', actual: 'contractor' })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({ required: 'org:site:read', actual: 'contractor' })
+      ).to.equal(false)
+      expect(
+        rc.isAuthorized({ required: 'org:read', actual: 'contractor' })
+      ).to.equal(true)
+    })
+    it('denies requirements that grant a denied resource:action role', () => {
+      const rc = new RolesCalc({
+        resourceActions: true,
+        writeExtendsRead: true,
+      })
+      rc.action('manage').extends('write')
+      rc.role('employee').extends('billing', 'org')
+      rc.role('contractor').extends('employee')
+      rc.role('contractor').denies('billing:write', 'org:site:write')
+      for (const required of [
+        'billing',
+        'billing:manage',
+        'org',
+        'org:site',
+        'org:write',
+        'org:site:manage',
+      ]) {
+        expect(
+          rc.isAuthorized({ required, actual: 'contractor' }),
+          required
+        ).to.equal(false)
+      }
+      expect(
+        rc.isAuthorized({ required: 'org:site:read', actual: 'contractor' })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({ required: 'org:read', actual: 'contractor' })
+      ).to.equal(true)
+    })
+    it('denies stronger actions than a denied action', () => {
+      const rc = new RolesCalc({
+        resourceActions: true,
+        writeExtendsRead: true,
+      })
+      rc.role('contractor').extends('billing')
+      rc.role('contractor').denies('billing:read')
+      expect(
+        rc.isAuthorized({ required: 'billing:write', actual: 'contractor' })
+      ).to.equal(false)
+      expect(
+        rc.isAuthorized({ required: 'billing:delete', actual: 'contractor' })
+      ).to.equal(true)
+    })
+    it("doesn't deny the roles a denied role extends", () => {
+      const rc = new RolesCalc()
+      rc.role('admin').extends('employee')
+      rc.role('contractor').extends('employee')
+      rc.role('contractor').denies('admin')
+      expect(
+        rc.isAuthorized({ required: 'employee', actual: 'contractor' })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({ required: 'admin', actual: ['contractor', 'admin'] })
+      ).to.equal(false)
+    })
+    it('denies everything a denied resource would grant', () => {
+      const rc = new RolesCalc({
+        resourceActions: true,
+        writeExtendsRead: true,
+      })
+      rc.role('employee').extends('billing')
+      rc.role('contractor').extends('employee')
+      rc.role('contractor').denies('billing')
+      expect(
+        rc.isAuthorized({ required: 'billing:read', actual: 'contractor' })
+      ).to.equal(false)
+    })
+    it('applies to roles that extend the denying role', () => {
+      const rc = new RolesCalc()
+      rc.role('employee').extends('billing')
+      rc.role('contractor').extends('employee')
+      rc.role('senior-contractor').extends('contractor')
+      rc.role('contractor').denies('billing')
+      expect(
+        rc.isAuthorized({ required: 'billing', actual: 'senior-contractor' })
+      ).to.equal(false)
+      expect(
+        rc.isAuthorized({ required: 'billing', actual: 'employee' })
+      ).to.equal(true)
+    })
+    it('overrides alwaysAllow roles', () => {
+      const rc = new RolesCalc<string>({ alwaysAllow: 'admin' })
+      rc.role('contractor').denies('billing')
+      expect(
+        rc.isAuthorized({
+          required: 'billing',
+          actual: ['admin', 'contractor'],
+        })
+      ).to.equal(false)
+    })
+    it('does not apply to alwaysAllow roles that do not hold the denying role', () => {
+      const rc = new RolesCalc<string>({ alwaysAllow: 'admin' })
+      rc.role('contractor').denies('billing')
+      expect(
+        rc.isAuthorized({ required: 'billing', actual: 'admin' })
+      ).to.equal(true)
+    })
+    it('applies to each of multiple required roles', () => {
+      const rc = new RolesCalc()
+      rc.role('contractor').extends('billing', 'payroll')
+      rc.role('contractor').denies('billing')
+      expect(
+        rc.isAuthorized({
+          required: ['billing', 'payroll'],
+          actual: 'contractor',
+        })
+      ).to.equal(false)
+      expect(
+        rc.isAuthorized({ required: ['payroll'], actual: 'contractor' })
+      ).to.equal(true)
+    })
+  })
+  describe('requirement expressions', () => {
+    const rc = new RolesCalc({ resourceActions: true, writeExtendsRead: true })
+    rc.role('site-admin').extends('site')
+    rc.role('contractor').denies('site:delete')
+
+    it('accepts anyOf', () => {
+      const required = { anyOf: ['site:write', 'site-admin'] }
+      expect(rc.isAuthorized({ required, actual: 'site:write' })).to.equal(true)
+      expect(rc.isAuthorized({ required, actual: 'site-admin' })).to.equal(true)
+      expect(rc.isAuthorized({ required, actual: 'site:read' })).to.equal(false)
+      expect(
+        rc.isAuthorized({ required: { anyOf: [] }, actual: 'site' })
+      ).to.equal(false)
+    })
+    it('accepts allOf', () => {
+      const required = { allOf: ['site:read', 'billing:read'] }
+      expect(
+        rc.isAuthorized({ required, actual: ['site:write', 'billing'] })
+      ).to.equal(true)
+      expect(rc.isAuthorized({ required, actual: 'site:write' })).to.equal(
+        false
+      )
+      expect(rc.isAuthorized({ required: { allOf: [] }, actual: [] })).to.equal(
+        true
+      )
+    })
+    it('accepts not', () => {
+      const required = { allOf: ['site:read', { not: 'contractor' }] }
+      expect(rc.isAuthorized({ required, actual: 'site:read' })).to.equal(true)
+      expect(
+        rc.isAuthorized({ required, actual: ['site:read', 'contractor'] })
+      ).to.equal(false)
+    })
+    it('accepts nested expressions', () => {
+      const required = {
+        anyOf: [
+          'site-admin',
+          ['site:write', 'billing:read'],
+          { allOf: ['site:delete', { not: 'site:write' }] },
+        ],
+      }
+      expect(rc.isAuthorized({ required, actual: 'site-admin' })).to.equal(true)
+      expect(
+        rc.isAuthorized({ required, actual: ['site:write', 'billing:write'] })
+      ).to.equal(true)
+      expect(rc.isAuthorized({ required, actual: 'site:write' })).to.equal(
+        false
+      )
+      expect(rc.isAuthorized({ required, actual: 'site:delete' })).to.equal(
+        true
+      )
+      expect(
+        rc.isAuthorized({ required, actual: ['site:delete', 'contractor'] })
+      ).to.equal(false)
+    })
+    it('treats an object with boolean values as roles', () => {
+      const rc = new RolesCalc()
+      expect(
+        rc.isAuthorized({ required: { not: true }, actual: 'not' })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({ required: { anyOf: false }, actual: [] })
+      ).to.equal(true)
+    })
+    it('throws for malformed expressions', () => {
+      const rc = new RolesCalc()
+      expect(() =>
+        rc.isAuthorized({ required: { anyOf: 'b' as any }, actual: 'b' })
+      ).to.throw('anyOf must be an array of requirements')
+      expect(() =>
+        rc.isAuthorized({ required: { not: 5 as any }, actual: 'b' })
+      ).to.throw('not must be a requirement')
+      expect(() =>
+        rc.isAuthorized({
+          required: { anyOf: ['a'], allOf: ['b'] } as any,
+          actual: 'b',
+        })
+      ).to.throw(
+        'requirement expression must have exactly one of anyOf, allOf or not, but has anyOf, allOf'
+      )
+      expect(() =>
+        rc.isAuthorized({
+          required: [{ allOf: ['a'], manager: true } as any],
+          actual: 'b',
+        })
+      ).to.throw(
+        'requirement expression must have exactly one of anyOf, allOf or not, but has allOf, manager'
+      )
+    })
+  })
+  describe('action', () => {
+    it('applies action relationships to every resource', () => {
+      const rc = new RolesCalc({ resourceActions: true })
+      rc.action('manage').extends('write')
+      rc.action('write').extends('read')
+      rc.action(['delete', 'manage']).extends('archive')
+      rc.action('approve').extends('review')
+      for (const [required, actual, expected] of [
+        ['site:write', 'site:manage', true],
+        ['site:read', 'site:manage', true],
+        ['org:site:read', 'org:manage', true],
+        ['site:archive', 'site:delete', true],
+        ['site:archive', 'site:manage', true],
+        ['site:review', 'site:approve', true],
+        ['site:manage', 'site:write', false],
+        ['site:write', 'site:delete', false],
+        ['site:approve', 'site:review', false],
+        ['site:read', 'billing:manage', false],
+      ] as const) {
+        expect(rc.isAuthorized({ required, actual })).to.equal(
+          expected,
+          `${actual} > ${required}`
+        )
+      }
+    })
+    it('applies to parent roles of resources', () => {
+      const rc = new RolesCalc({ resourceActions: true })
+      rc.action('manage').extends('write')
+      rc.role('parent').extends('child')
+      expect(
+        rc.isAuthorized({ required: 'child:write', actual: 'parent:manage' })
+      ).to.equal(true)
+    })
+    it('invalidates flattened roles', () => {
+      const rc = new RolesCalc({ resourceActions: true })
+      expect(
+        rc.isAuthorized({ required: 'site:write', actual: 'site:manage' })
+      ).to.equal(false)
+      rc.action('manage').extends('write')
+      expect(
+        rc.isAuthorized({ required: 'site:write', actual: 'site:manage' })
+      ).to.equal(true)
+    })
+    it('is configured by writeExtendsRead', () => {
+      const rc = new RolesCalc({
+        resourceActions: true,
+        writeExtendsRead: true,
+      })
+      rc.action('manage').extends('write')
+      expect(
+        rc.isAuthorized({ required: 'site:read', actual: 'site:manage' })
+      ).to.equal(true)
+    })
+  })
+  describe('resourceInstances', () => {
+    const rolesCalcOpts = {
+      resourceActions: true,
+      writeExtendsRead: true,
+      resourceInstances: true,
+    }
+    it('accepts resource roles for every instance', () => {
+      const rc = new RolesCalc(rolesCalcOpts)
+      for (const [required, actual, expected] of [
+        ['site/42:read', 'site:read', true],
+        ['site/42:read', 'site', true],
+        ['site/42:read', 'site/42', true],
+        ['site/42:delete', 'site/42', true],
+        ['site/42', 'site', true],
+        ['site/42:read', 'site/42:write', true],
+        ['site/42:read', 'site:write', true],
+        ['org/1:site/42:read', 'org:read', true],
+        ['org/1:site/42:read', 'org/1', true],
+        ['org/1:site/42:read', 'org/1:site', true],
+        ['site/42:read', 'site/43:read', false],
+        ['site/42:read', 'site/43', false],
+        ['site/42:write', 'site/42:read', false],
+        ['site:read', 'site/42:read', false],
+        ['site', 'site/42', false],
+        ['org/1:site/42:read', 'org/2:site:read', false],
+      ] as const) {
+        expect(rc.isAuthorized({ required, actual })).to.equal(
+          expected,
+          `${actual} > ${required}`
+        )
+      }
+    })
+    it('applies user defined inheritance to instances', () => {
+      const rc = new RolesCalc(rolesCalcOpts)
+      rc.role('site-admin').extends('site')
+      rc.role('owner/42').extends('site/42:write')
+      expect(
+        rc.isAuthorized({ required: 'site/42:read', actual: 'site-admin' })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({ required: 'site/42:read', actual: 'owner/42' })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({ required: 'site/43:read', actual: 'owner/42' })
+      ).to.equal(false)
+    })
+    it('treats / as an ordinary character when disabled', () => {
+      const rc = new RolesCalc({ resourceActions: true })
+      expect(
+        rc.isAuthorized({ required: 'site/42:read', actual: 'site:read' })
+      ).to.equal(false)
+    })
+    it('prunes instance roles made redundant by resource roles', () => {
+      const rc = new RolesCalc(rolesCalcOpts)
+      expect(
+        rc.pruneRedundantRoles([
+          'site/42:read',
+          'site:read',
+          'site/43:write',
+          'site/43:read',
+        ])
+      ).to.deep.equal(['site:read', 'site/43:write'])
+    })
+    it('does not cache parent roles for each instance', () => {
+      const rc = new RolesCalc(rolesCalcOpts)
+      for (let id = 0; id < 100; id++) {
+        expect(
+          rc.isAuthorized({ required: `site/${id}:read`, actual: 'site:write' })
+        ).to.equal(true)
+      }
+      expect(rc._childRolesToParentRolesFlattened.size).to.be.below(10)
+    })
+  })
+  describe('conditional inheritance', () => {
+    type Context = { user: { id: number }; doc: { ownerId: number } }
+    const rolesCalcOpts = { resourceActions: true, writeExtendsRead: true }
+    const isOwner = (ctx: Context) => ctx.doc.ownerId === ctx.user.id
+    const ownDoc = { user: { id: 1 }, doc: { ownerId: 1 } }
+    const otherDoc = { user: { id: 1 }, doc: { ownerId: 2 } }
+
+    it('applies conditional relationships when the condition is met', () => {
+      const rc = new RolesCalc<string, Context>(rolesCalcOpts)
+      rc.role('author').extends('doc:write').when(isOwner)
+      rc.role('editor').extends('author')
+      expect(
+        rc.isAuthorized({
+          required: 'doc:write',
+          actual: 'author',
+          context: ownDoc,
+        })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({
+          required: 'doc:read',
+          actual: 'editor',
+          context: ownDoc,
+        })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({
+          required: 'doc:write',
+          actual: 'author',
+          context: otherDoc,
+        })
+      ).to.equal(false)
+    })
+    it('does not apply conditional relationships without a context', () => {
+      const rc = new RolesCalc<string, Context>(rolesCalcOpts)
+      rc.role('author').extends('doc:write').when(isOwner)
+      expect(
+        rc.isAuthorized({ required: 'doc:write', actual: 'author' })
+      ).to.equal(false)
+      expect(rc.getParentRolesSet('doc:write').has('author')).to.equal(false)
+    })
+    it('applies conditional relationships reached through unconditional ones', () => {
+      const rc = new RolesCalc<string, Context>(rolesCalcOpts)
+      rc.role('author').extends('doc:write').when(isOwner)
+      rc.role('editor').extends('author')
+      rc.role('doc:write').extends('comment:write')
+      expect(
+        rc.isAuthorized({
+          required: 'comment:read',
+          actual: 'editor',
+          context: ownDoc,
+        })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({
+          required: 'comment:read',
+          actual: 'editor',
+          context: otherDoc,
+        })
+      ).to.equal(false)
+    })
+    it('caches only unconditional parent roles', () => {
+      const rc = new RolesCalc<string, Context>(rolesCalcOpts)
+      rc.role('author').extends('doc:write').when(isOwner)
+      rc.isAuthorized({
+        required: 'doc:write',
+        actual: 'author',
+        context: ownDoc,
+      })
+      expect(
+        rc._childRolesToParentRolesFlattened.get('doc:write')?.has('author')
+      ).to.equal(false)
+    })
+    it('evaluates each condition at most once per query', () => {
+      const rc = new RolesCalc<string, Context>({ resourceActions: true })
+      let calls = 0
+      const condition = () => {
+        calls++
+        return false
+      }
+      rc.role('a').extends('doc:write', 'doc:read').when(condition)
+      rc.isAuthorized({ required: 'doc:read', actual: 'b', context: ownDoc })
+      expect(calls).to.equal(1)
+    })
+    it('leaves existing unconditional relationships unconditional', () => {
+      const rc = new RolesCalc<string, Context>(rolesCalcOpts)
+      rc.role('owner').extends('doc')
+      rc.role('owner')
+        .extends('doc')
+        .when(() => false)
+      expect(
+        rc.isAuthorized({
+          required: 'doc:write',
+          actual: 'owner',
+          context: otherDoc,
+        })
+      ).to.equal(true)
+    })
+    it('applies deny rules through conditional relationships', () => {
+      const rc = new RolesCalc<string, Context>(rolesCalcOpts)
+      rc.role('guest')
+        .extends('author')
+        .when((ctx) => ctx.user.id === 1)
+      rc.role('author').denies('doc:delete')
+      rc.role('admin').extends('doc')
+      expect(
+        rc.isAuthorized({
+          required: 'doc:delete',
+          actual: ['admin', 'guest'],
+          context: ownDoc,
+        })
+      ).to.equal(false)
+      expect(
+        rc.isAuthorized({
+          required: 'doc:delete',
+          actual: ['admin', 'guest'],
+          context: { user: { id: 2 }, doc: { ownerId: 2 } },
+        })
+      ).to.equal(true)
+    })
+  })
+  describe('role grants', () => {
+    // Monday, January 1, 2024 12:00 UTC
+    const monday = Date.UTC(2024, 0, 1, 12)
+    const hour = 60 * 60 * 1000
+    const day = 24 * hour
+
+    it('applies grants between notBefore and expiresAt', () => {
+      const rc = new RolesCalc()
+      const actual = [
+        'employee',
+        { role: 'oncall', notBefore: monday, expiresAt: monday + day },
+      ]
+      expect(
+        rc.isAuthorized({ required: 'oncall', actual, now: monday - 1 })
+      ).to.equal(false)
+      expect(
+        rc.isAuthorized({ required: 'oncall', actual, now: monday })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({
+          required: 'oncall',
+          actual,
+          now: new Date(monday + day - 1),
+        })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({ required: 'oncall', actual, now: monday + day })
+      ).to.equal(false)
+      expect(
+        rc.isAuthorized({ required: 'employee', actual, now: monday + day })
+      ).to.equal(true)
+    })
+    it('applies inheritance to grants', () => {
+      const rc = new RolesCalc()
+      rc.role('manager').extends('employee')
+      const actual = new Set([{ role: 'manager', expiresAt: new Date(monday) }])
+      expect(
+        rc.isAuthorized({ required: 'employee', actual, now: monday - 1 })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({ required: 'employee', actual, now: monday })
+      ).to.equal(false)
+    })
+    it('uses the clock passed to the constructor', () => {
+      let now = monday
+      const rc = new RolesCalc({ now: () => now })
+      const actual = [{ role: 'contractor', expiresAt: monday + day }]
+      expect(rc.isAuthorized({ required: 'contractor', actual })).to.equal(true)
+      now += day
+      expect(rc.isAuthorized({ required: 'contractor', actual })).to.equal(
+        false
+      )
+    })
+    it('applies grants during recurring windows', () => {
+      const rc = new RolesCalc()
+      const actual = [
+        {
+          role: 'support',
+          windows: [
+            { daysOfWeek: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' },
+          ],
+        },
+      ]
+      for (const [now, expected] of [
+        [monday, true],
+        [monday + 9 * hour, false],
+        [monday - 3 * hour, true],
+        [monday - 3 * hour - 1, false],
+        [monday + 5 * hour - 1, true],
+        [monday + 5 * hour, false],
+        [monday - day, false],
+        [monday + 4 * day, true],
+        [monday + 5 * day, false],
+      ] as const) {
+        expect(rc.isAuthorized({ required: 'support', actual, now })).to.equal(
+          expected,
+          new Date(now).toISOString()
+        )
+      }
+    })
+    it('applies utcOffset and overnight recurring windows', () => {
+      const rc = new RolesCalc()
+      const actual = [
+        {
+          role: 'night-shift',
+          windows: [
+            { daysOfWeek: [5], start: '22:00', end: '06:00', utcOffset: -300 },
+          ],
+        },
+      ]
+      // Friday, January 5, 2024 22:00 UTC-5
+      const friday = Date.UTC(2024, 0, 6, 3)
+      for (const [now, expected] of [
+        [friday, true],
+        [friday - 1, false],
+        [friday + 8 * hour - 1, true],
+        [friday + 8 * hour, false],
+        [friday - day, false],
+        [friday + day, false],
+      ] as const) {
+        expect(
+          rc.isAuthorized({ required: 'night-shift', actual, now })
+        ).to.equal(expected, new Date(now).toISOString())
+      }
+    })
+    it('throws for invalid window times', () => {
+      const rc = new RolesCalc()
+      expect(() =>
+        rc.isAuthorized({
+          required: 'support',
+          actual: [
+            { role: 'support', windows: [{ start: '9am', end: '17:00' }] },
+          ],
+        })
+      ).to.throw('invalid time of day: 9am')
+    })
+    describe('pruneRedundantRoles', () => {
+      it('does not prune permanent roles made redundant by expiring roles', () => {
+        const rc = new RolesCalc()
+        rc.role('manager').extends('employee')
+        const manager = { role: 'manager', expiresAt: monday }
+        expect(rc.pruneRedundantRoles([manager, 'employee'])).to.deep.equal([
+          manager,
+          'employee',
+        ])
+      })
+      it('prunes expiring roles made redundant by permanent roles', () => {
+        const rc = new RolesCalc()
+        rc.role('manager').extends('employee')
+        expect(
+          rc.pruneRedundantRoles([
+            'manager',
+            { role: 'employee', expiresAt: monday },
+          ])
+        ).to.deep.equal(['manager'])
+      })
+      it('prunes grants made redundant by longer grants', () => {
+        const rc = new RolesCalc()
+        rc.role('manager').extends('employee')
+        const manager = {
+          role: 'manager',
+          notBefore: monday - day,
+          expiresAt: monday + day,
+        }
+        const employee = {
+          role: 'employee',
+          notBefore: monday,
+          expiresAt: monday + day,
+        }
+        const laterEmployee = { role: 'employee', expiresAt: monday + 2 * day }
+        expect(
+          rc.pruneRedundantRoles([manager, employee, laterEmployee])
+        ).to.deep.equal([manager, laterEmployee])
+      })
+      it('only prunes grants with windows made redundant by grants with the same windows', () => {
+        const rc = new RolesCalc()
+        rc.role('manager').extends('employee')
+        const windows = [{ start: '09:00', end: '17:00' }]
+        const manager = { role: 'manager', windows }
+        expect(
+          rc.pruneRedundantRoles([manager, { role: 'employee', windows }])
+        ).to.deep.equal([manager])
+        expect(
+          rc.pruneRedundantRoles([
+            manager,
+            { role: 'employee', expiresAt: monday },
+          ])
+        ).to.deep.equal([manager, { role: 'employee', expiresAt: monday }])
+      })
+    })
+  })
+  describe('unextends', () => {
+    it('removes relationships', () => {
+      const rc = new RolesCalc()
+      rc.role('owner').extends('manager')
+      rc.role('manager').extends('employee')
+      expect(rc.isAuthorized({ required: 'employee', actual: 'owner' })).to.be
+        .true
+      rc.role('manager').unextends('employee')
+      expect(rc.isAuthorized({ required: 'employee', actual: 'owner' })).to.be
+        .false
+      expect(rc.isAuthorized({ required: 'manager', actual: 'owner' })).to.be
+        .true
+      expect(rc._childRolesToParentRoles.has('employee')).to.be.false
+    })
+    it('removes conditional relationships', () => {
+      const rc = new RolesCalc()
+      rc.role('author')
+        .extends('doc:write')
+        .when(() => true)
+      expect(
+        rc.isAuthorized({
+          required: 'doc:write',
+          actual: 'author',
+          context: {},
+        })
+      ).to.be.true
+      rc.role('author').unextends('doc:write')
+      expect(
+        rc.isAuthorized({
+          required: 'doc:write',
+          actual: 'author',
+          context: {},
+        })
+      ).to.be.false
+    })
+    it('removes wildcard relationships', () => {
+      const rc = new RolesCalc({ resourceActions: true, wildcards: true })
+      rc.role('auditor').extends('*:read')
+      expect(rc.isAuthorized({ required: 'site:read', actual: 'auditor' })).to
+        .be.true
+      rc.role('auditor').unextends('*:read')
+      expect(rc.isAuthorized({ required: 'site:read', actual: 'auditor' })).to
+        .be.false
+      expect(rc._wildcardRoles.size).to.equal(0)
+    })
+    it('does nothing for relationships that do not exist', () => {
+      const rc = new RolesCalc()
+      rc.role('manager').extends('employee')
+      rc.role('owner').unextends('employee')
+      rc.role('manager').unextends('foo')
+      expect(rc.isAuthorized({ required: 'employee', actual: 'manager' })).to.be
+        .true
+    })
+  })
+  describe('removeRole', () => {
+    it('removes all relationships of the role', () => {
+      const rc = new RolesCalc()
+      rc.role('owner').extends('manager')
+      rc.role('manager').extends('employee')
+      rc.role('manager')
+        .extends('reports:read')
+        .when(() => true)
+      expect(rc.isAuthorized({ required: 'employee', actual: 'owner' })).to.be
+        .true
+      rc.removeRole('manager')
+      expect(rc.isAuthorized({ required: 'employee', actual: 'owner' })).to.be
+        .false
+      expect(rc.isAuthorized({ required: 'manager', actual: 'owner' })).to.be
+        .false
+      expect(
+        rc.isAuthorized({
+          required: 'reports:read',
+          actual: 'manager',
+          context: {},
+        })
+      ).to.be.false
+      expect(rc._childRolesToParentRoles.size).to.equal(0)
+      expect(rc._conditionalChildRolesToParentRoles.size).to.equal(0)
+    })
+    it('removes deny rules of the role', () => {
+      const rc = new RolesCalc()
+      rc.role('employee').extends('billing')
+      rc.role('contractor').extends('employee')
+      rc.role('contractor').denies('billing')
+      rc.role('intern').denies('contractor')
+      rc.removeRole('contractor')
+      expect(rc._rolesToDeniedRoles.size).to.equal(0)
+      expect(
+        rc.isAuthorized({
+          required: 'billing',
+          actual: ['contractor', 'employee'],
+        })
+      ).to.be.true
+    })
+    it('removes the role from alwaysAllow', () => {
+      const alwaysAllow = new Set(['admin', 'root'])
+      const rc = new RolesCalc<string>({ alwaysAllow })
+      expect(rc.isAuthorized({ required: 'employee', actual: 'admin' })).to.be
+        .true
+      rc.removeRole('admin')
+      expect(rc.isAuthorized({ required: 'employee', actual: 'admin' })).to.be
+        .false
+      expect(rc.isAuthorized({ required: 'employee', actual: 'root' })).to.be
+        .true
+      expect([...alwaysAllow]).to.deep.equal(['admin', 'root'])
+    })
+  })
+  describe('setAlwaysAllow', () => {
+    it('replaces the alwaysAllow roles', () => {
+      const rc = new RolesCalc<string>({ alwaysAllow: 'admin' })
+      rc.role('manager').extends('employee')
+      expect(rc.isAuthorized({ required: 'employee', actual: 'admin' })).to.be
+        .true
+      rc.setAlwaysAllow('root')
+      expect(rc.isAuthorized({ required: 'employee', actual: 'admin' })).to.be
+        .false
+      expect(rc.isAuthorized({ required: 'employee', actual: 'root' })).to.be
+        .true
+      expect(rc.getParentRolesSet('employee')).to.deep.equal(
+        new Set(['root', 'manager'])
+      )
+      rc.setAlwaysAllow(null)
+      expect(rc.isAuthorized({ required: 'employee', actual: 'root' })).to.be
+        .false
+    })
+  })
+  describe('explainAuthorization', () => {
+    it('explains each step from the actual role to the required role', () => {
+      const rc = new RolesCalc({
+        resourceActions: true,
+        writeExtendsRead: true,
+      })
+      rc.role('owner').extends('manager')
+      rc.role('manager').extends('site')
+      expect(
+        rc.explainAuthorization({ required: 'site:read', actual: 'owner' })
+      ).to.deep.equal({
+        authorized: true,
+        requirements: [
+          {
+            required: 'site:read',
+            authorized: true,
+            path: [
+              { role: 'owner', implies: 'manager', reason: 'extends' },
+              { role: 'manager', implies: 'site', reason: 'extends' },
+              {
+                role: 'site',
+                implies: 'site:read',
+                reason: 'resourceImpliesAction',
+              },
+            ],
+            deniedBy: null,
+          },
+        ],
+      })
+    })
+    it('reports each requirement separately', () => {
+      const rc = new RolesCalc({
+        resourceActions: true,
+        writeExtendsRead: true,
+      })
+      const { authorized, requirements } = rc.explainAuthorization({
+        required: ['site:read', 'site:write', 'org:read'],
+        actual: ['site:write'],
+      })
+      expect(authorized).to.be.false
+      expect(requirements).to.deep.equal([
+        {
+          required: 'site:read',
+          authorized: true,
+          path: [
+            {
+              role: 'site:write',
+              implies: 'site:read',
+              reason: 'writeExtendsRead',
+            },
+          ],
+          deniedBy: null,
+        },
+        { required: 'site:write', authorized: true, path: [], deniedBy: null },
+        { required: 'org:read', authorized: false, path: null, deniedBy: null },
+      ])
+    })
+    it('reports every role in requirement expressions', () => {
+      const rc = new RolesCalc()
+      const { authorized, requirements } = rc.explainAuthorization({
+        required: { anyOf: ['a', { not: 'b' }] },
+        actual: ['b'],
+      })
+      expect(authorized).to.be.false
+      expect(requirements.map((r) => [r.required, r.authorized])).to.deep.equal(
+        [
+          ['a', false],
+          ['b', true],
+        ]
+      )
+    })
+    it('explains alwaysAllow', () => {
+      const rc = new RolesCalc<string>({ alwaysAllow: 'admin' })
+      expect(
+        rc.explainAuthorization({ required: 'foo', actual: 'admin' })
+          .requirements[0].path
+      ).to.deep.equal([
+        { role: 'admin', implies: 'foo', reason: 'alwaysAllow' },
+      ])
+    })
+    it('explains parent:action propagation', () => {
+      const rc = new RolesCalc({ resourceActions: true })
+      rc.role('manager').extends('employee')
+      expect(
+        rc.explainAuthorization({
+          required: 'employee:read',
+          actual: 'manager:read',
+        }).requirements[0].path
+      ).to.deep.equal([
+        {
+          role: 'manager:read',
+          implies: 'employee:read',
+          reason: 'parentAction',
+        },
+      ])
+    })
+    it('explains action hierarchies, resource paths and instances', () => {
+      const rc = new RolesCalc({
+        resourceActions: true,
+        resourceInstances: true,
+      })
+      rc.action('manage').extends('write')
+      expect(
+        rc.explainAuthorization({
+          required: 'org:site/42:write',
+          actual: 'org:site:manage',
+        }).requirements[0].path
+      ).to.deep.equal([
+        {
+          role: 'org:site:manage',
+          implies: 'org:site/42:manage',
+          reason: 'resourceInstance',
+        },
+        {
+          role: 'org:site/42:manage',
+          implies: 'org:site/42:write',
+          reason: 'actionHierarchy',
+        },
+      ])
+      expect(
+        rc.explainAuthorization({
+          required: 'org:site:write',
+          actual: 'org:write',
+        }).requirements[0].path
+      ).to.deep.equal([
+        {
+          role: 'org:write',
+          implies: 'org:site:write',
+          reason: 'parentResource',
+        },
+      ])
+    })
+    it('explains conditional relationships and wildcards', () => {
+      const rc = new RolesCalc({ resourceActions: true, wildcards: true })
+      rc.role('author')
+        .extends('doc:write')
+        .when((ctx) => ctx.owner)
+      expect(
+        rc.explainAuthorization({
+          required: 'doc:write',
+          actual: 'author',
+          context: { owner: true },
+        }).requirements[0].path
+      ).to.deep.equal([
+        { role: 'author', implies: 'doc:write', reason: 'conditionalExtends' },
+      ])
+      expect(
+        rc.explainAuthorization({
+          required: 'doc:write',
+          actual: 'author',
+          context: { owner: false },
+        }).requirements[0].path
+      ).to.equal(null)
+      expect(
+        rc.explainAuthorization({ required: 'doc:read', actual: '*:read' })
+          .requirements[0].path
+      ).to.deep.equal([
+        { role: '*:read', implies: 'doc:read', reason: 'wildcard' },
+      ])
+    })
+    it('chooses the shortest path', () => {
+      const rc = new RolesCalc()
+      rc.role('owner').extends('manager')
+      rc.role('manager').extends('employee')
+      expect(
+        rc.explainAuthorization({
+          required: 'employee',
+          actual: ['owner', 'manager'],
+        }).requirements[0].path
+      ).to.deep.equal([
+        { role: 'manager', implies: 'employee', reason: 'extends' },
+      ])
+    })
+    it('reports deny rules', () => {
+      const rc = new RolesCalc({ resourceActions: true })
+      rc.role('employee').extends('billing')
+      rc.role('contractor').extends('employee')
+      rc.role('contractor').denies('billing')
+      const { authorized, requirements } = rc.explainAuthorization({
+        required: 'billing:write',
+        actual: 'contractor',
+      })
+      expect(authorized).to.be.false
+      expect(requirements[0].authorized).to.be.false
+      expect(requirements[0].deniedBy).to.equal('billing')
+      expect(requirements[0].path).to.have.lengthOf(3)
+    })
+  })
+  describe('getDenialReport', () => {
+    const rc = new RolesCalc<string>({
+      alwaysAllow: 'admin',
+      resourceActions: true,
+      writeExtendsRead: true,
+    })
+    rc.role('owner').extends('manager')
+    rc.role('manager').extends(['employee', 'reports:read'])
+    rc.role('auditor').extends('reports:read')
+
+    it('lists the least-privileged candidates for each unmet requirement', () => {
+      expect(
+        rc.getDenialReport({
+          required: ['reports:read', 'employee'],
+          actual: 'employee',
+        })
+      ).to.deep.equal({
+        authorized: false,
+        unmet: [
+          {
+            required: 'reports:read',
+            deniedBy: null,
+            candidates: [
+              { role: 'reports:write', closest: false },
+              { role: 'manager', closest: true },
+              { role: 'auditor', closest: false },
+            ],
+          },
+        ],
+      })
+    })
+    it("doesn't flag any candidates as closest when none imply actual roles", () => {
+      const { unmet } = rc.getDenialReport({
+        required: 'reports:read',
+        actual: [],
+      })
+      expect(unmet[0].candidates.map((c) => c.closest)).to.deep.equal([
+        false,
+        false,
+        false,
+      ])
+    })
+    it('keeps closest candidates that grant other candidates', () => {
+      const rc = new RolesCalc({
+        resourceActions: true,
+        writeExtendsRead: true,
+      })
+      rc.role('manager').extends(['employee', 'site:write'])
+      expect(
+        rc.getDenialReport({ required: 'site:read', actual: 'employee' }).unmet
+      ).to.deep.equal([
+        {
+          required: 'site:read',
+          deniedBy: null,
+          candidates: [
+            { role: 'site:write', closest: false },
+            { role: 'manager', closest: true },
+          ],
+        },
+      ])
+    })
+    it('reports nothing unmet when authorized', () => {
+      expect(
+        rc.getDenialReport({ required: 'reports:read', actual: 'owner' })
+      ).to.deep.equal({ authorized: true, unmet: [] })
+    })
+    it('reports requirements in expressions', () => {
+      const { authorized, unmet } = rc.getDenialReport({
+        required: { anyOf: ['manager', 'auditor'] },
+        actual: 'employee',
+      })
+      expect(authorized).to.be.false
+      expect(unmet.map((u) => u.required)).to.deep.equal(['manager', 'auditor'])
+      expect(unmet[0].candidates).to.deep.equal([
+        { role: 'owner', closest: true },
+      ])
+      expect(unmet[1].candidates).to.deep.equal([])
+    })
+    it('reports deny rules instead of candidates', () => {
+      const rc = new RolesCalc()
+      rc.role('employee').extends('billing')
+      rc.role('contractor').extends('employee')
+      rc.role('contractor').denies('billing')
+      expect(
+        rc.getDenialReport({ required: 'billing', actual: 'contractor' }).unmet
+      ).to.deep.equal([
+        { required: 'billing', deniedBy: 'billing', candidates: [] },
+      ])
+    })
+  })
+  describe('scopedRoles', () => {
+    const rc = new RolesCalc({ scopedRoles: true })
+    rc.role('admin').extends('manager')
+    rc.role('manager').extends('employee')
+
+    it('applies roles assigned in the target scope or an ancestor scope', () => {
+      for (const actual of ['admin@org/1', 'admin@org/1/team/7']) {
+        expect(
+          rc.isAuthorized({
+            required: 'employee',
+            actual,
+            scope: 'org/1/team/7',
+          }),
+          actual
+        ).to.be.true
+      }
+    })
+    it("doesn't apply roles assigned in other scopes", () => {
+      for (const actual of [
+        'admin@org/2',
+        'admin@org/1/team/7',
+        'admin@org/10',
+      ]) {
+        expect(
+          rc.isAuthorized({ required: 'employee', actual, scope: 'org/1' }),
+          actual
+        ).to.be.false
+      }
+    })
+    it('only applies unscoped roles when no scope is given', () => {
+      expect(rc.isAuthorized({ required: 'employee', actual: 'admin@org/1' }))
+        .to.be.false
+      expect(rc.isAuthorized({ required: 'employee', actual: 'admin' })).to.be
+        .true
+      expect(
+        rc.isAuthorized({
+          required: 'employee',
+          actual: 'admin',
+          scope: 'org/1',
+        })
+      ).to.be.true
+    })
+    it('works with all forms of actual roles', () => {
+      for (const actual of [
+        ['admin@org/1'],
+        new Set(['admin@org/1']),
+        { 'admin@org/1': true },
+      ]) {
+        expect(rc.isAuthorized({ required: 'manager', actual, scope: 'org/1' }))
+          .to.be.true
+        expect(rc.isAuthorized({ required: 'manager', actual, scope: 'org/2' }))
+          .to.be.false
+      }
+    })
+    it('supports scopes on RoleGrants', () => {
+      const actual = [{ role: 'admin', scope: 'org/1', expiresAt: 2000 }]
+      expect(
+        rc.isAuthorized({
+          required: 'manager',
+          actual,
+          scope: 'org/1',
+          now: 1000,
+        })
+      ).to.be.true
+      expect(
+        rc.isAuthorized({
+          required: 'manager',
+          actual,
+          scope: 'org/1',
+          now: 3000,
+        })
+      ).to.be.false
+      expect(
+        rc.isAuthorized({
+          required: 'manager',
+          actual,
+          scope: 'org/2',
+          now: 1000,
+        })
+      ).to.be.false
+    })
+    it("doesn't treat @ as a scope separator when disabled", () => {
+      const rc = new RolesCalc()
+      rc.role('admin@org/1').extends('employee')
+      expect(rc.isAuthorized({ required: 'employee', actual: 'admin@org/1' }))
+        .to.be.true
+    })
+    it('pruneRedundantRoles', () => {
+      expect(
+        rc.pruneRedundantRoles(['manager@org/1', 'employee@org/1/team/7'])
+      ).to.deep.equal(['manager@org/1'])
+      expect(
+        rc.pruneRedundantRoles(['manager@org/1', 'admin@org/1/team/7'])
+      ).to.deep.equal(['manager@org/1', 'admin@org/1/team/7'])
+      expect(
+        rc.pruneRedundantRoles(['manager@org/1', 'employee@org/2'])
+      ).to.deep.equal(['manager@org/1', 'employee@org/2'])
+      expect(
+        rc.pruneRedundantRoles(['manager', 'employee@org/1'])
+      ).to.deep.equal(['manager'])
+      expect(
+        rc.pruneRedundantRoles(['manager@org/1', 'employee'])
+      ).to.deep.equal(['manager@org/1', 'employee'])
+    })
+  })
+  describe('wildcards', () => {
+    const rolesCalcOpts = {
+      resourceActions: true,
+      writeExtendsRead: true,
+      wildcards: true,
+    }
+    it('accepts actual roles matching wildcards', () => {
+      const rc = new RolesCalc(rolesCalcOpts)
+      expect(
+        rc.isAuthorized({ required: 'site:read', actual: '*:read' })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({ required: 'site:read', actual: '*:write' })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({ required: 'site:write', actual: '*:read' })
+      ).to.equal(false)
+      expect(
+        rc.isAuthorized({ required: 'site:explode', actual: 'site:*' })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({
+          required: 'reports-daily:export',
+          actual: 'reports-*:export',
+        })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({
+          required: 'sales:export',
+          actual: 'reports-*:export',
+        })
+      ).to.equal(false)
+      expect(
+        rc.isAuthorized({ required: 'site:read', actual: 'si*' })
+      ).to.equal(true)
+    })
+    it('does not match across separators', () => {
+      const rc = new RolesCalc(rolesCalcOpts)
+      expect(
+        rc.isAuthorized({ required: 'site:read', actual: 's*d' })
+      ).to.equal(false)
+    })
+    it('matches across any characters without resourceActions', () => {
+      const rc = new RolesCalc({ wildcards: true })
+      expect(
+        rc.isAuthorized({ required: 'site:read', actual: 's*d' })
+      ).to.equal(true)
+    })
+    it('accepts required wildcard roles', () => {
+      const rc = new RolesCalc(rolesCalcOpts)
+      expect(rc.isAuthorized({ required: 'site:*', actual: 'site' })).to.equal(
+        true
+      )
+      expect(rc.isAuthorized({ required: 'site:*', actual: '*:*' })).to.equal(
+        true
+      )
+      expect(
+        rc.isAuthorized({ required: 'site:*', actual: 'site:read' })
+      ).to.equal(false)
+      expect(rc.isAuthorized({ required: '*:read', actual: '*' })).to.equal(
+        true
+      )
+      expect(
+        rc.isAuthorized({ required: '*:read', actual: 'site:*' })
+      ).to.equal(false)
+      expect(
+        rc.isAuthorized({
+          required: 'reports-daily*:export',
+          actual: 'reports-*:export',
+        })
+      ).to.equal(true)
+    })
+    it('treats * as an ordinary character when disabled', () => {
+      const rc = new RolesCalc({ resourceActions: true })
+      expect(
+        rc.isAuthorized({ required: 'site:read', actual: '*:read' })
+      ).to.equal(false)
+    })
+    it('includes extended wildcard roles in parent roles', () => {
+      const rc = new RolesCalc(rolesCalcOpts)
+      rc.role('auditor').extends('*:read')
+      expect(
+        rc.isAuthorized({ required: 'site:read', actual: 'auditor' })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({ required: 'site:write', actual: 'auditor' })
+      ).to.equal(false)
+      expect(rc.getParentRolesSet('site:read')).to.include.all.keys(
+        '*:read',
+        'auditor'
+      )
+    })
+    it('applies deny rules with wildcards', () => {
+      const rc = new RolesCalc(rolesCalcOpts)
+      rc.role('contractor').extends('*')
+      rc.role('contractor').denies('*:delete')
+      expect(
+        rc.isAuthorized({ required: 'site:write', actual: 'contractor' })
+      ).to.equal(true)
+      expect(
+        rc.isAuthorized({ required: 'site:delete', actual: 'contractor' })
+      ).to.equal(false)
+    })
+    it('prunes roles made redundant by wildcards', () => {
+      const rc = new RolesCalc(rolesCalcOpts)
+      expect(
+        rc.pruneRedundantRoles(['site:read', '*:read', 'foo', 'site:write'])
+      ).to.deep.equal(['*:read', 'foo', 'site:write'])
+      expect(rc.pruneRedundantRoles(['site:*', '*:*'])).to.deep.equal(['*:*'])
+    })
+  })
   it('does not generate resource:action roles when none are configured', () => {
     // we're checking that we don't end up with roles like 'admin:read'
     const rc = new RolesCalc()
@@ -372,7 +3070,7 @@ describe('RolesCalc', () => {
             required: roleForLevel(0),
             actual: roleForLevel(TEST_LEVEL),
           })
-        ).to.throw()
+        ).to.throw(InheritanceDepthError)
       })
 
       it('allows a role to be added redundantly', () => {
@@ -401,6 +3099,59 @@ describe('RolesCalc', () => {
         ).to.equal(false)
       })
 
+      it('accepts actions on parent resources for child resources', () => {
+        const rc = new RolesCalc(rolesCalcOpts)
+        for (const actual of [
+          `org${sep}read`,
+          `org${sep}write`,
+          'org',
+          `org${sep}site`,
+          `org${sep}site${sep}write`,
+        ]) {
+          expect(
+            rc.isAuthorized({ required: `org${sep}site${sep}read`, actual })
+          ).to.equal(true)
+        }
+        expect(
+          rc.isAuthorized({
+            required: `org${sep}site${sep}device${sep}read`,
+            actual: `org${sep}write`,
+          })
+        ).to.equal(true)
+        for (const actual of [
+          `org${sep}site${sep}read`,
+          `org${sep}delete`,
+          `org${sep}other`,
+          `org${sep}other${sep}read`,
+        ]) {
+          expect(
+            rc.isAuthorized({ required: `org${sep}site${sep}write`, actual })
+          ).to.equal(false)
+        }
+      })
+
+      it('infers that parent:action > child:action for child resource paths', () => {
+        const rc = new RolesCalc(rolesCalcOpts)
+        rc.role('parent').extends(`org${sep}site`)
+        expect(
+          rc.isAuthorized({
+            required: `org${sep}site${sep}device${sep}read`,
+            actual: `parent${sep}write`,
+          })
+        ).to.equal(true)
+      })
+
+      it('prunes redundant roles based on resource paths', () => {
+        const rc = new RolesCalc(rolesCalcOpts)
+        expect(
+          rc.pruneRedundantRoles([
+            `org${sep}site${sep}read`,
+            `org${sep}write`,
+            `org${sep}site${sep}delete`,
+          ])
+        ).to.deep.equal([`org${sep}write`, `org${sep}site${sep}delete`])
+      })
+
       it('infers that parent:action > child:action when parent > child', () => {
         const rc = new RolesCalc(rolesCalcOpts)
         rc.role('parent').extends('child')
@@ -515,6 +3266,21 @@ describe('RolesCalc', () => {
           ).to.deep.equal(['foo'])
         })
 
+        it(`explodes resource${sep}action roles with resource paths`, () => {
+          const rc: RolesCalc<string> = new RolesCalc(rolesCalcOpts)
+          expect(
+            Array.from(
+              rc._explodeResourceActionRole(
+                `org${sep}site${sep}device${sep}read`
+              )
+            )
+          ).to.deep.equal([
+            `org${sep}site${sep}device`,
+            `org${sep}site${sep}read`,
+            `org${sep}site${sep}device${sep}write`,
+          ])
+        })
+
         it('does not explode roles that do not follow the resource:action pattern', () => {
           const rc: RolesCalc<string> = new RolesCalc(rolesCalcOpts)
           for (const pattern of [
@@ -523,7 +3289,7 @@ describe('RolesCalc', () => {
             'baz',
             `${sep}foo${sep}bar`,
             `foo${sep}bar${sep}`,
-            `foo${sep}bar${sep}baz`,
+            `foo${sep}${sep}bar`,
           ]) {
             expect(
               Array.from(rc._explodeResourceActionRole(pattern))